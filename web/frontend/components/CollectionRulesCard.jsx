@@ -0,0 +1,200 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  DataTable,
+  Modal,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+const typeOptions = [
+  { label: "Brand", value: "brand" },
+  { label: "Category", value: "category" },
+  { label: "Tag", value: "tag" },
+  { label: "Price band", value: "price" },
+];
+
+const emptyForm = { type: "brand", value: "", min: "", max: "", collection: "" };
+
+const formToRule = (form) => {
+  if (form.type === "price") {
+    return {
+      type: "price",
+      min: form.min === "" ? null : Number(form.min),
+      max: form.max === "" ? null : Number(form.max),
+      collection: form.collection.trim(),
+    };
+  }
+  return { type: form.type, value: form.value.trim() || null, collection: form.collection.trim() };
+};
+
+const describeMatch = (rule) => {
+  if (rule.type === "price") {
+    if (rule.min === null) return `Below ${rule.max}`;
+    if (rule.max === null) return `${rule.min} and above`;
+    return `${rule.min} to below ${rule.max}`;
+  }
+  return rule.value ? `"${rule.value}"` : "Any value";
+};
+
+export default function CollectionRulesCard() {
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["collectionRules"],
+    queryFn: async () => {
+      const response = await fetch("/api/collection-rules");
+      if (!response.ok) throw new Error("Failed to fetch collection rules");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  const rules = data?.rules || [];
+
+  const saveRulesMutation = useMutation({
+    mutationFn: async (nextRules) => {
+      const response = await fetch("/api/collection-rules", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ rules: nextRules }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save collection rules");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      setShowModal(false);
+      showToast("Collection rules saved");
+      queryClient.invalidateQueries(["collectionRules"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const openModal = () => {
+    setForm(emptyForm);
+    setShowModal(true);
+  };
+
+  const updateForm = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const typeLabel = (type) => typeOptions.find((option) => option.value === type)?.label || type;
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Collections" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              Add imported products to collections by brand, category, tag or price. Missing collections are
+              created for you. Use {"{value}"} in the collection title to give every brand, category or tag a
+              collection of its own.
+            </Text>
+
+            {rules.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text"]}
+                headings={["Type", "Match", "Collection", ""]}
+                rows={rules.map((rule, index) => [
+                  typeLabel(rule.type),
+                  describeMatch(rule),
+                  rule.collection,
+                  <Button
+                    key={index}
+                    plain
+                    destructive
+                    onClick={() => saveRulesMutation.mutate(rules.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>,
+                ])}
+              />
+            ) : (
+              <Text color="subdued">No collection rules yet</Text>
+            )}
+
+            <Stack>
+              <Button onClick={openModal}>Add rule</Button>
+            </Stack>
+          </Stack>
+        )}
+      </Card>
+
+      <Modal
+        open={showModal}
+        onClose={() => setShowModal(false)}
+        title="Add collection rule"
+        primaryAction={{
+          content: "Add rule",
+          onAction: () => saveRulesMutation.mutate([...rules, formToRule(form)]),
+          loading: saveRulesMutation.isLoading,
+          disabled: !form.collection.trim(),
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setShowModal(false) }]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Select label="Match on" options={typeOptions} value={form.type} onChange={updateForm("type")} />
+            {form.type === "price" ? (
+              <FormLayout.Group>
+                <TextField label="Minimum price" type="number" value={form.min} onChange={updateForm("min")} autoComplete="off" />
+                <TextField
+                  label="Maximum price"
+                  type="number"
+                  value={form.max}
+                  onChange={updateForm("max")}
+                  helpText="Products priced below this"
+                  autoComplete="off"
+                />
+              </FormLayout.Group>
+            ) : (
+              <TextField
+                label="Value"
+                value={form.value}
+                onChange={updateForm("value")}
+                helpText="Leave empty to match every value"
+                autoComplete="off"
+              />
+            )}
+            <TextField
+              label="Collection"
+              value={form.collection}
+              onChange={updateForm("collection")}
+              placeholder="{value}"
+              autoComplete="off"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Frame>
+  );
+}
@@ -0,0 +1,120 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { useState, useEffect } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+const actionOptions = [
+  { label: "Leave them as they are", value: "leave" },
+  { label: "Set them to draft", value: "draft" },
+  { label: "Archive them", value: "archive" },
+  { label: "Set their inventory to zero", value: "zero-inventory" },
+];
+
+export default function DelistingPolicyCard() {
+  const [action, setAction] = useState("leave");
+  const [graceRuns, setGraceRuns] = useState("3");
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["delistingPolicy"],
+    queryFn: async () => {
+      const response = await fetch("/api/delisting-policy");
+      if (!response.ok) throw new Error("Failed to fetch delisting policy");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    if (data?.policy) {
+      setAction(data.policy.action);
+      setGraceRuns(String(data.policy.graceRuns));
+    }
+  }, [data]);
+
+  const savePolicyMutation = useMutation({
+    mutationFn: async (policy) => {
+      const response = await fetch("/api/delisting-policy", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ policy }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save delisting policy");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      showToast("Delisting policy saved");
+      queryClient.invalidateQueries(["delistingPolicy"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Delisted Products" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              Choose what happens to imported products the supplier no longer lists. Products are only changed after
+              they are missing from several full syncs in a row, and are reactivated if they come back.
+            </Text>
+
+            <FormLayout>
+              <FormLayout.Group>
+                <Select label="Missing products" options={actionOptions} value={action} onChange={setAction} />
+                <TextField
+                  label="Grace period"
+                  type="number"
+                  min={1}
+                  max={30}
+                  suffix="full syncs"
+                  value={graceRuns}
+                  onChange={setGraceRuns}
+                  disabled={action === "leave"}
+                  helpText="Consecutive full syncs a product must be missing from"
+                  autoComplete="off"
+                />
+              </FormLayout.Group>
+              <Button
+                onClick={() => savePolicyMutation.mutate({ action, graceRuns: Number(graceRuns) })}
+                loading={savePolicyMutation.isLoading}
+              >
+                Save policy
+              </Button>
+            </FormLayout>
+          </Stack>
+        )}
+      </Card>
+    </Frame>
+  );
+}
@@ -0,0 +1,152 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  DataTable,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  TextField,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+export default function ExchangeRatesCard() {
+  const [rate, setRate] = useState("");
+  const [effectiveDate, setEffectiveDate] = useState(new Date().toISOString().slice(0, 10));
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["exchangeRates"],
+    queryFn: async () => {
+      const response = await fetch("/api/exchange-rates");
+      if (!response.ok) throw new Error("Failed to fetch exchange rates");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  const shopCurrency = data?.shopCurrency;
+
+  const saveRateMutation = useMutation({
+    mutationFn: async (payload) => {
+      const response = await fetch("/api/exchange-rates", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save exchange rate");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      setRate("");
+      showToast("Exchange rate saved");
+      queryClient.invalidateQueries(["exchangeRates"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const deleteRateMutation = useMutation({
+    mutationFn: async (id) => {
+      const response = await fetch(`/api/exchange-rates/${id}`, { method: "DELETE" });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to delete exchange rate");
+      }
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries(["exchangeRates"]),
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const handleSave = () => {
+    saveRateMutation.mutate({
+      baseCurrency: "USD",
+      quoteCurrency: shopCurrency,
+      rate: Number(rate),
+      effectiveDate,
+    });
+  };
+
+  const rates = data?.rates || [];
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Exchange Rates" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : shopCurrency === "USD" ? (
+          <Text color="subdued">
+            Your store currency is USD, so supplier prices are used without conversion.
+          </Text>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              Supplier prices in USD are converted to {shopCurrency} before your pricing rules run. Each sync
+              uses the latest rate effective on the day it starts.
+            </Text>
+
+            {rates.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "numeric", "text", "text"]}
+                headings={["Currencies", "Rate", "Effective from", ""]}
+                rows={rates.map((entry) => [
+                  `${entry.base_currency} → ${entry.quote_currency}`,
+                  entry.rate,
+                  entry.effective_date,
+                  <Button key={entry.id} plain destructive onClick={() => deleteRateMutation.mutate(entry.id)}>
+                    Delete
+                  </Button>,
+                ])}
+              />
+            ) : (
+              <Text color="subdued">No exchange rates yet. Syncs fail until you add one.</Text>
+            )}
+
+            <FormLayout>
+              <FormLayout.Group>
+                <TextField
+                  label={`1 USD in ${shopCurrency || "store currency"}`}
+                  type="number"
+                  value={rate}
+                  onChange={setRate}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Effective from"
+                  type="date"
+                  value={effectiveDate}
+                  onChange={setEffectiveDate}
+                  autoComplete="off"
+                />
+              </FormLayout.Group>
+              <Button onClick={handleSave} loading={saveRateMutation.isLoading} disabled={!rate || !shopCurrency}>
+                Save rate
+              </Button>
+            </FormLayout>
+          </Stack>
+        )}
+      </Card>
+    </Frame>
+  );
+}
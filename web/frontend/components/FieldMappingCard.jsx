@@ -0,0 +1,240 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  DataTable,
+  Modal,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  TextField,
+  Checkbox,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+const targetLabels = {
+  title: "Title",
+  vendor: "Vendor",
+  productType: "Product type",
+  tags: "Tags",
+  sku: "SKU",
+  barcode: "Barcode",
+  description: "Description",
+  countryOfOrigin: "Country of origin",
+  hsCode: "HS code",
+  compareAtPrice: "Compare-at price",
+};
+
+const emptyForm = { source: "", template: "", prefix: "", suffix: "", truncate: "", lowercase: false };
+
+// Form fields of a stored rule; the form edits one transform of each type
+const ruleToForm = (rule) => {
+  if (!rule) return emptyForm;
+  const transformOf = (type) => rule.transforms.find((transform) => transform.type === type);
+  return {
+    source: rule.source || "",
+    template: rule.template || "",
+    prefix: transformOf("prefix")?.value || "",
+    suffix: transformOf("suffix")?.value || "",
+    truncate: transformOf("truncate") ? String(transformOf("truncate").length) : "",
+    lowercase: !!transformOf("lowercase"),
+  };
+};
+
+const formToRule = (form) => {
+  const transforms = [];
+  if (form.lowercase) transforms.push({ type: "lowercase" });
+  if (form.truncate) transforms.push({ type: "truncate", length: Number(form.truncate) });
+  if (form.prefix) transforms.push({ type: "prefix", value: form.prefix });
+  if (form.suffix) transforms.push({ type: "suffix", value: form.suffix });
+  return form.template ? { template: form.template, transforms } : { source: form.source.trim(), transforms };
+};
+
+const describeRule = (rule) => {
+  if (!rule) return "Supplier default";
+  const transforms = rule.transforms.map((transform) =>
+    transform.type === "truncate" ? `max ${transform.length} characters` : transform.value ? `${transform.type} "${transform.value}"` : transform.type
+  );
+  return [rule.template ? `Template ${rule.template}` : rule.source, ...transforms].join(", ");
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "-";
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+export default function FieldMappingCard() {
+  const [editingTarget, setEditingTarget] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["fieldMapping"],
+    queryFn: async () => {
+      const response = await fetch("/api/field-mappings");
+      if (!response.ok) throw new Error("Failed to fetch field mapping");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  const { data: preview } = useQuery({
+    queryKey: ["fieldMappingPreview"],
+    queryFn: async () => {
+      const response = await fetch("/api/field-mappings/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+      if (!response.ok) throw new Error("Failed to preview field mapping");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  const mapping = data?.mapping || {};
+
+  const saveMappingMutation = useMutation({
+    mutationFn: async (nextMapping) => {
+      const response = await fetch("/api/field-mappings", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ mapping: nextMapping }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save field mapping");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      setEditingTarget(null);
+      showToast("Field mapping saved");
+      queryClient.invalidateQueries(["fieldMapping"]);
+      queryClient.invalidateQueries(["fieldMappingPreview"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const openEditor = (target) => {
+    setForm(ruleToForm(mapping[target]));
+    setEditingTarget(target);
+  };
+
+  const updateForm = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const handleSave = () => {
+    saveMappingMutation.mutate({ ...mapping, [editingTarget]: formToRule(form) });
+  };
+
+  const handleReset = () => {
+    const { [editingTarget]: _removed, ...rest } = mapping;
+    saveMappingMutation.mutate(rest);
+  };
+
+  const targets = data?.targets || Object.keys(targetLabels);
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Field Mapping" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              Choose which supplier field fills each product field. Unmapped fields keep the supplier's default.
+              The preview shows the first product of the supplier feed.
+            </Text>
+
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text"]}
+              headings={["Field", "Source", "Preview", ""]}
+              rows={targets.map((target) => [
+                targetLabels[target] || target,
+                describeRule(mapping[target]),
+                formatValue(preview?.mapped?.[target]),
+                <Button key={target} plain onClick={() => openEditor(target)}>
+                  Edit
+                </Button>,
+              ])}
+            />
+          </Stack>
+        )}
+      </Card>
+
+      <Modal
+        open={!!editingTarget}
+        onClose={() => setEditingTarget(null)}
+        title={`Map ${targetLabels[editingTarget] || editingTarget || ""}`}
+        primaryAction={{
+          content: "Save mapping",
+          onAction: handleSave,
+          loading: saveMappingMutation.isLoading,
+          disabled: !form.source.trim() && !form.template,
+        }}
+        secondaryActions={[
+          { content: "Use supplier default", destructive: true, onAction: handleReset, disabled: !mapping[editingTarget] },
+          { content: "Cancel", onAction: () => setEditingTarget(null) },
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="Supplier field"
+              value={form.source}
+              onChange={updateForm("source")}
+              disabled={!!form.template}
+              helpText={
+                preview?.sourceFields?.length > 0
+                  ? `Available fields: ${preview.sourceFields.join(", ")}`
+                  : "A field of the supplier product, e.g. brand or current_variants.CPU"
+              }
+              autoComplete="off"
+            />
+            <TextField
+              label="Template"
+              value={form.template}
+              onChange={updateForm("template")}
+              placeholder="{brand} {title}"
+              helpText="Used instead of the supplier field. Wrap supplier fields in braces."
+              autoComplete="off"
+            />
+            <FormLayout.Group>
+              <TextField label="Prefix" value={form.prefix} onChange={updateForm("prefix")} autoComplete="off" />
+              <TextField label="Suffix" value={form.suffix} onChange={updateForm("suffix")} autoComplete="off" />
+              <TextField
+                label="Max length"
+                type="number"
+                value={form.truncate}
+                onChange={updateForm("truncate")}
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+            <Checkbox label="Lowercase" checked={form.lowercase} onChange={updateForm("lowercase")} />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Frame>
+  );
+}
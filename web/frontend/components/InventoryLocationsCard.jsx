@@ -0,0 +1,156 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { useState, useEffect } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+export default function InventoryLocationsCard() {
+  const [defaultLocationId, setDefaultLocationId] = useState("");
+  const [warehouses, setWarehouses] = useState([]);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["inventoryLocations"],
+    queryFn: async () => {
+      const response = await fetch("/api/inventory-locations");
+      if (!response.ok) throw new Error("Failed to fetch inventory locations");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    if (data?.settings) {
+      setDefaultLocationId(data.settings.defaultLocationId);
+      setWarehouses(
+        Object.entries(data.settings.warehouseLocations).map(([warehouseId, locationId]) => ({ warehouseId, locationId }))
+      );
+    }
+  }, [data]);
+
+  const saveLocationsMutation = useMutation({
+    mutationFn: async (settings) => {
+      const response = await fetch("/api/inventory-locations", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ settings }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save inventory locations");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      showToast("Inventory locations saved");
+      queryClient.invalidateQueries(["inventoryLocations"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const locationOptions = (data?.locations || []).map((location) => ({ label: location.name, value: location.id }));
+
+  const updateWarehouse = (index, field) => (value) =>
+    setWarehouses((current) => current.map((warehouse, i) => (i === index ? { ...warehouse, [field]: value } : warehouse)));
+
+  const handleSave = () => {
+    saveLocationsMutation.mutate({
+      defaultLocationId,
+      warehouseLocations: Object.fromEntries(
+        warehouses.map((warehouse) => [warehouse.warehouseId.trim(), warehouse.locationId])
+      ),
+    });
+  };
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Inventory Locations" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              Choose where supplier stock is kept. Stock from supplier warehouses you map below goes to their own
+              location, everything else to the default location. Products are stocked at a location the first time
+              a sync sets their inventory there.
+            </Text>
+
+            <FormLayout>
+              <Select
+                label="Default location"
+                options={locationOptions}
+                value={defaultLocationId}
+                onChange={setDefaultLocationId}
+              />
+
+              {warehouses.map((warehouse, index) => (
+                <FormLayout.Group key={index} condensed>
+                  <TextField
+                    label="Supplier warehouse"
+                    value={warehouse.warehouseId}
+                    onChange={updateWarehouse(index, "warehouseId")}
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Location"
+                    options={locationOptions}
+                    value={warehouse.locationId}
+                    onChange={updateWarehouse(index, "locationId")}
+                  />
+                  <Button
+                    plain
+                    destructive
+                    onClick={() => setWarehouses((current) => current.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>
+                </FormLayout.Group>
+              ))}
+
+              <Stack>
+                <Button
+                  onClick={() =>
+                    setWarehouses((current) => [...current, { warehouseId: "", locationId: defaultLocationId }])
+                  }
+                >
+                  Map a warehouse
+                </Button>
+                <Button primary onClick={handleSave} loading={saveLocationsMutation.isLoading}>
+                  Save locations
+                </Button>
+              </Stack>
+            </FormLayout>
+
+            {!data?.configured && (
+              <Text color="subdued">Until you save a choice, supplier stock goes to your first location.</Text>
+            )}
+          </Stack>
+        )}
+      </Card>
+    </Frame>
+  );
+}
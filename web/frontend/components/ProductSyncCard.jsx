@@ -14,10 +14,15 @@ import {
   Frame,
   FormLayout,
   Select,
+  Checkbox,
 } from "@shopify/polaris";
 import { useState, useEffect } from "react";
 import { useQuery, useMutation, useQueryClient } from "react-query";
 
+// Job statuses that keep the sync card open, and the subset that can be resumed
+const activeStatuses = ["processing", "queued", "paused", "interrupted", "reauth_required"];
+const stoppedStatuses = ["paused", "interrupted", "reauth_required"];
+
 export default function ProductSyncCard() {
   const [showSyncModal, setShowSyncModal] = useState(false);
   const [activeSyncJob, setActiveSyncJob] = useState(null);
@@ -25,8 +30,18 @@ export default function ProductSyncCard() {
   const [toastMessage, setToastMessage] = useState("");
   const [toastError, setToastError] = useState(false);
   const [selectedCountry, setSelectedCountry] = useState("");
+  const [selectedSupplier, setSelectedSupplier] = useState("");
+  const [useBulkImport, setUseBulkImport] = useState(false);
+  const [dryRun, setDryRun] = useState(false);
+  const [syncMode, setSyncMode] = useState("full");
   const queryClient = useQueryClient();
 
+  const syncModeOptions = [
+    { label: "Full sync", value: "full" },
+    { label: "Inventory only", value: "inventory-only" },
+    { label: "Prices only", value: "price-only" },
+  ];
+
   // Country options for shipping
   const countryOptions = [
     { label: "Select shipping country...", value: "" },
@@ -72,6 +87,38 @@ export default function ProductSyncCard() {
     refetchInterval: 5000, // Refetch every 5 seconds
   });
 
+  // Fetch available supplier adapters
+  const { data: suppliersData } = useQuery({
+    queryKey: ["suppliers"],
+    queryFn: async () => {
+      const response = await fetch("/api/suppliers");
+      if (!response.ok) throw new Error("Failed to fetch suppliers");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  const supplierOptions = (suppliersData?.suppliers || []).map((supplier) => ({
+    label: supplier.label,
+    value: supplier.name,
+  }));
+
+  // Latest finished dry run, summarized below the sync card
+  const latestDryRun = syncHistory?.jobs?.find(
+    (job) => job.dry_run && job.status === "completed"
+  );
+
+  const { data: dryRunPreview } = useQuery({
+    queryKey: ["syncPreview", latestDryRun?.id],
+    queryFn: async () => {
+      const response = await fetch(`/api/products/sync/${latestDryRun.id}/preview`);
+      if (!response.ok) throw new Error("Failed to fetch dry run summary");
+      return response.json();
+    },
+    enabled: !!latestDryRun,
+    refetchOnWindowFocus: false,
+  });
+
   // Fetch active job status
   const { data: jobStatus, isLoading: isLoadingJobStatus } = useQuery({
     queryKey: ["syncJobStatus", activeSyncJob],
@@ -87,13 +134,13 @@ export default function ProductSyncCard() {
 
   // Start sync mutation
   const startSyncMutation = useMutation({
-    mutationFn: async ({ batchSize = 50, shippingCountry }) => {
+    mutationFn: async ({ batchSize = 50, shippingCountry, supplier, importMethod, syncMode, dryRun }) => {
       const response = await fetch("/api/products/sync", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ batchSize, shippingCountry }),
+        body: JSON.stringify({ batchSize, shippingCountry, supplier, importMethod, syncMode, dryRun }),
       });
       if (!response.ok) {
         const errorData = await response.json();
@@ -105,7 +152,7 @@ export default function ProductSyncCard() {
       setActiveSyncJob(data.jobId);
       setShowSyncModal(false);
       setSelectedCountry(""); // Reset form
-      setToastMessage("Product sync started successfully!");
+      setToastMessage(data.dryRun ? "Dry run started!" : "Product sync started successfully!");
       setToastError(false);
       setShowToast(true);
       queryClient.invalidateQueries(["syncHistory"]);
@@ -198,11 +245,37 @@ export default function ProductSyncCard() {
     },
   });
 
+  // Retry failed products mutation
+  const retryFailedMutation = useMutation({
+    mutationFn: async (jobId) => {
+      const response = await fetch(`/api/products/sync/${jobId}/retry-failed`, {
+        method: "POST",
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to retry failed products");
+      }
+      return response.json();
+    },
+    onSuccess: (data) => {
+      setActiveSyncJob(data.jobId);
+      setToastMessage(data.message);
+      setToastError(false);
+      setShowToast(true);
+      queryClient.invalidateQueries(["syncHistory"]);
+    },
+    onError: (error) => {
+      setToastMessage(`Retry failed: ${error.message}`);
+      setToastError(true);
+      setShowToast(true);
+    },
+  });
+
   // Check if there's an active job on mount
   useEffect(() => {
     if (syncHistory?.jobs) {
       const activeJob = syncHistory.jobs.find(
-        (job) => job.status === "processing" || job.status === "queued" || job.status === "paused"
+        (job) => activeStatuses.includes(job.status)
       );
       if (activeJob) {
         setActiveSyncJob(activeJob.id);
@@ -229,10 +302,32 @@ export default function ProductSyncCard() {
     }
     startSyncMutation.mutate({ 
       batchSize: 50, 
-      shippingCountry: selectedCountry 
+      shippingCountry: selectedCountry,
+      supplier: selectedSupplier || supplierOptions[0]?.value,
+      importMethod: useBulkImport && syncMode === "full" ? "bulk" : "standard",
+      syncMode,
+      dryRun
     });
   };
 
+  // Download the dry-run report through the authenticated fetch
+  const handleDownloadReport = async (jobId) => {
+    try {
+      const response = await fetch(`/api/products/sync/${jobId}/report`);
+      if (!response.ok) throw new Error("Failed to download dry run report");
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `dry-run-${jobId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setToastMessage(error.message);
+      setToastError(true);
+      setShowToast(true);
+    }
+  };
+
   const handleForceCancelAll = () => {
     forceCancelAllMutation.mutate();
   };
@@ -259,6 +354,8 @@ export default function ProductSyncCard() {
       processing: { status: "info", children: "Processing" },
       queued: { status: "attention", children: "Queued" },
       paused: { status: "warning", children: "Paused" },
+      interrupted: { status: "critical", children: "Interrupted" },
+      reauth_required: { status: "critical", children: "Re-authentication required" },
       failed: { status: "critical", children: "Failed" },
       cancelled: { status: "warning", children: "Cancelled" },
     };
@@ -267,13 +364,27 @@ export default function ProductSyncCard() {
 
   const getProgressPercentage = () => {
     if (!jobStatus?.job) return 0;
-    const { processed_products, total_products } = jobStatus.job;
+    const { processed_products, failed_products, skipped_products, total_products } = jobStatus.job;
     if (!total_products) return 0;
-    return Math.round((processed_products / total_products) * 100);
+    const handled = (processed_products || 0) + (failed_products || 0) + (skipped_products || 0);
+    return Math.min(100, Math.round((handled / total_products) * 100));
   };
 
+  // Delta syncs leave products whose supplier data did not change untouched
+  const formatActionCounts = (job) =>
+    `${job.created_products || 0} created, ${job.updated_products || 0} updated, ${job.unchanged_products || 0} unchanged` +
+    (job.delisted_products > 0 ? `, ${job.delisted_products} delisted` : "");
+
   const currentJob = jobStatus?.job || null;
-  const isActiveSync = activeSyncJob && (currentJob?.status === "processing" || currentJob?.status === "queued" || currentJob?.status === "paused");
+  const isActiveSync = activeSyncJob && activeStatuses.includes(currentJob?.status);
+  const isStoppedSync = stoppedStatuses.includes(currentJob?.status);
+
+  const getActiveSyncHeading = () => {
+    if (currentJob?.status === "paused") return "Sync Paused";
+    if (currentJob?.status === "interrupted") return "Sync Interrupted";
+    if (currentJob?.status === "reauth_required") return "Re-authentication Required";
+    return currentJob?.dry_run ? "Dry Run in Progress" : "Sync in Progress";
+  };
 
   const toastMarkup = showToast ? (
     <Toast
@@ -291,14 +402,20 @@ export default function ProductSyncCard() {
           <Stack vertical spacing="tight">
             <Stack distribution="equalSpacing" alignment="center">
               <Stack alignment="center" spacing="tight">
-                {currentJob?.status !== "paused" && <Spinner size="small" />}
+                {!isStoppedSync && <Spinner size="small" />}
                 <Text variant="headingMd">
-                  {currentJob?.status === "paused" ? "Sync Paused" : "Sync in Progress"}
+                  {getActiveSyncHeading()}
                 </Text>
               </Stack>
               <Badge {...getStatusBadge(currentJob?.status)} />
             </Stack>
             
+            {(currentJob?.status === "interrupted" || currentJob?.status === "reauth_required") && currentJob?.error_message && (
+              <Banner status="warning">
+                <p>{currentJob.error_message}</p>
+              </Banner>
+            )}
+            
             <Stack vertical spacing="tight">
               {currentJob?.total_products > 0 && (
                 <ProgressBar progress={getProgressPercentage()} />
@@ -313,7 +430,31 @@ export default function ProductSyncCard() {
                     {" "}({currentJob.failed_products} failed)
                   </span>
                 )}
+                {currentJob?.skipped_products > 0 && (
+                  <span> ({currentJob.skipped_products} skipped)</span>
+                )}
               </Text>
+              {!currentJob?.dry_run && currentJob?.processed_products > 0 && (
+                <Text variant="bodySm" color="subdued">
+                  {formatActionCounts(currentJob)}
+                </Text>
+              )}
+              {currentJob?.shipping_country && (
+                <Text variant="bodySm" color="subdued">
+                  Shipping to {currentJob.shipping_country}
+                </Text>
+              )}
+              {currentJob?.exchange_rate && currentJob.currency_from !== currentJob.currency_to && (
+                <Text variant="bodySm" color="subdued">
+                  Prices converted from {currentJob.currency_from} to {currentJob.currency_to} at {currentJob.exchange_rate}
+                  {currentJob.exchange_rate_date && ` (rate effective ${currentJob.exchange_rate_date})`}
+                </Text>
+              )}
+              {(currentJob?.supplier_retries > 0 || currentJob?.api_retries > 0) && (
+                <Text variant="bodySm" color="subdued">
+                  Retried {currentJob.supplier_retries || 0} supplier and {currentJob.api_retries || 0} Shopify API requests after transient errors
+                </Text>
+              )}
             </Stack>
             
             <Stack spacing="tight">
@@ -327,7 +468,7 @@ export default function ProductSyncCard() {
                 </Button>
               )}
               
-              {currentJob?.status === "paused" && (
+              {isStoppedSync && (
                 <Button
                   primary
                   onClick={handleResumeSync}
@@ -356,7 +497,7 @@ export default function ProductSyncCard() {
             <Stack vertical spacing="tight">
               <Text variant="headingMd">Sync Products from AmazingE</Text>
               <Text variant="bodyMd" color="subdued">
-                Import products from your third-party supplier with optimized single-job processing
+                Import products from your third-party supplier with optimized background processing
               </Text>
             </Stack>
             <Button
@@ -380,6 +521,29 @@ export default function ProductSyncCard() {
         </Stack>
       </Card>
 
+      {/* Dry Run Summary */}
+      {latestDryRun && dryRunPreview?.summary && (
+        <Card title="Dry run preview" sectioned>
+          <Stack vertical spacing="tight">
+            <Text variant="bodyMd" color="subdued">
+              Dry run of {formatDate(latestDryRun.created_at)}. No products were changed in your store.
+            </Text>
+            <Stack spacing="tight">
+              <Badge status="success">{`${dryRunPreview.summary.create} to create`}</Badge>
+              <Badge status="info">{`${dryRunPreview.summary.update} to update`}</Badge>
+              <Badge>{`${dryRunPreview.summary.unchanged || 0} unchanged`}</Badge>
+              <Badge>{`${dryRunPreview.summary.skip} to skip`}</Badge>
+              <Badge status="critical">{`${dryRunPreview.summary.reject} rejected`}</Badge>
+            </Stack>
+            <Stack>
+              <Button onClick={() => handleDownloadReport(latestDryRun.id)}>
+                Download report
+              </Button>
+            </Stack>
+          </Stack>
+        </Card>
+      )}
+
       {/* Sync History */}
       <Card title="Sync History" sectioned>
         {isLoadingHistory ? (
@@ -389,13 +553,42 @@ export default function ProductSyncCard() {
           </Stack>
         ) : syncHistory?.jobs?.length > 0 ? (
           <DataTable
-            columnContentTypes={["text", "text", "text", "text", "text"]}
-            headings={["Date", "Status", "Products", "Failed", "Duration"]}
+            columnContentTypes={["text", "text", "text", "text", "text", "text", "text"]}
+            headings={["Date", "Status", "Country", "Products", "Failed", "Skipped", "Duration"]}
             rows={syncHistory.jobs.slice(0, 10).map((job) => [
               formatDate(job.created_at),
-              <Badge key={job.id} {...getStatusBadge(job.status)} />,
-              job.processed_products || 0,
-              job.failed_products || 0,
+              <Stack key={job.id} spacing="extraTight">
+                <Badge {...getStatusBadge(job.status)} />
+                {!!job.dry_run && <Badge>Dry run</Badge>}
+                {job.sync_mode && job.sync_mode !== "full" && <Badge>{job.sync_mode}</Badge>}
+                {job.schedule_id && <Badge>Scheduled</Badge>}
+              </Stack>,
+              job.shipping_country || "-",
+              job.dry_run ? (
+                job.processed_products || 0
+              ) : (
+                <Stack key={`${job.id}-products`} vertical spacing="extraTight">
+                  <Text>{job.processed_products || 0}</Text>
+                  <Text variant="bodySm" color="subdued">
+                    {formatActionCounts(job)}
+                  </Text>
+                </Stack>
+              ),
+              job.failed_products > 0 && !job.dry_run && !activeSyncJob && !activeStatuses.includes(job.status) ? (
+                <Stack key={`${job.id}-failed`} alignment="center" spacing="tight">
+                  <Text>{job.failed_products}</Text>
+                  <Button
+                    plain
+                    onClick={() => retryFailedMutation.mutate(job.id)}
+                    loading={retryFailedMutation.isLoading && retryFailedMutation.variables === job.id}
+                  >
+                    Retry failed
+                  </Button>
+                </Stack>
+              ) : (
+                job.failed_products || 0
+              ),
+              job.skipped_products || 0,
               job.status === "completed" || job.status === "failed"
                 ? `${Math.round(
                     (new Date(job.updated_at) - new Date(job.created_at)) / 1000
@@ -445,6 +638,35 @@ export default function ProductSyncCard() {
                 placeholder="Select the primary shipping country for products"
                 helpText="This will be used to configure shipping settings for imported products"
               />
+              {supplierOptions.length > 1 && (
+                <Select
+                  label="Supplier"
+                  options={supplierOptions}
+                  value={selectedSupplier || supplierOptions[0].value}
+                  onChange={(value) => setSelectedSupplier(value)}
+                  helpText="Products will be imported from this supplier"
+                />
+              )}
+              <Select
+                label="Sync mode"
+                options={syncModeOptions}
+                value={syncMode}
+                onChange={(value) => setSyncMode(value)}
+                helpText="Inventory only sets stock levels of products that were already imported, which is much cheaper than a full sync."
+              />
+              <Checkbox
+                label="Use bulk import"
+                checked={useBulkImport && syncMode === "full"}
+                disabled={syncMode !== "full"}
+                onChange={(value) => setUseBulkImport(value)}
+                helpText="Recommended for very large catalogs. Products are imported with Shopify bulk operations, so progress updates in larger steps."
+              />
+              <Checkbox
+                label="Dry run (preview only)"
+                checked={dryRun}
+                onChange={(value) => setDryRun(value)}
+                helpText="Walks the supplier feed and reports what would be created, updated, left unchanged, skipped or rejected without changing your store."
+              />
             </FormLayout>
 
             <TextContainer>
@@ -458,7 +680,7 @@ export default function ProductSyncCard() {
                 <strong>Selected Country:</strong> Products will be configured to ship from {selectedCountry ? countryOptions.find(c => c.value === selectedCountry)?.label : 'No country selected'}.
               </Text>
               <Text variant="bodyMd">
-                <strong>Features:</strong> Only one sync job can run at a time, improved error handling, 
+                <strong>Features:</strong> Only one sync job can run per store at a time, improved error handling, 
                 and better cancellation support.
               </Text>
             </TextContainer>
@@ -0,0 +1,108 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  Spinner,
+  Toast,
+  Frame,
+  ChoiceList,
+} from "@shopify/polaris";
+import { useState, useEffect } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+export default function SalesChannelsCard() {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["salesChannels"],
+    queryFn: async () => {
+      const response = await fetch("/api/sales-channels");
+      if (!response.ok) throw new Error("Failed to fetch sales channels");
+      return response.json();
+    },
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    if (data?.selectedIds) {
+      setSelectedIds(data.selectedIds);
+    }
+  }, [data]);
+
+  const saveChannelsMutation = useMutation({
+    mutationFn: async (publicationIds) => {
+      const response = await fetch("/api/sales-channels", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ publicationIds }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to save sales channels");
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      showToast("Sales channels saved");
+      queryClient.invalidateQueries(["salesChannels"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const publications = data?.publications || [];
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Sales Channels" sectioned>
+        {isLoading ? (
+          <Stack alignment="center">
+            <Spinner size="small" />
+          </Stack>
+        ) : (
+          <Stack vertical spacing="loose">
+            <Text variant="bodyMd" color="subdued">
+              New products created by a sync are published to these channels.
+              {!data?.configured && " Until you save a choice, products are published to your Online Store."}
+            </Text>
+
+            {publications.length > 0 ? (
+              <ChoiceList
+                title="Publish imported products to"
+                allowMultiple
+                choices={publications.map((publication) => ({ label: publication.name, value: publication.id }))}
+                selected={selectedIds}
+                onChange={setSelectedIds}
+              />
+            ) : (
+              <Text color="subdued">No sales channels found for your store</Text>
+            )}
+
+            <Stack>
+              <Button onClick={() => saveChannelsMutation.mutate(selectedIds)} loading={saveChannelsMutation.isLoading}>
+                Save channels
+              </Button>
+            </Stack>
+            {selectedIds.length === 0 && (
+              <Text color="subdued">No channel selected: imported products will stay unpublished.</Text>
+            )}
+          </Stack>
+        )}
+      </Card>
+    </Frame>
+  );
+}
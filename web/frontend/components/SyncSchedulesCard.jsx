@@ -0,0 +1,220 @@
+import {
+  Card,
+  Stack,
+  Button,
+  Text,
+  Badge,
+  DataTable,
+  Modal,
+  Spinner,
+  Toast,
+  Frame,
+  FormLayout,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "react-query";
+
+const frequencyOptions = [
+  { label: "Daily", value: "daily" },
+  { label: "Weekly", value: "weekly" },
+];
+
+const dayOptions = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"].map(
+  (label, index) => ({ label, value: String(index) })
+);
+
+const syncModeOptions = [
+  { label: "Full sync", value: "full" },
+  { label: "Inventory only", value: "inventory-only" },
+  { label: "Prices only", value: "price-only" },
+];
+
+const lastRunBadges = {
+  started: { status: "success", children: "Started" },
+  skipped: { status: "warning", children: "Skipped" },
+  failed: { status: "critical", children: "Failed" },
+};
+
+export default function SyncSchedulesCard() {
+  const [showModal, setShowModal] = useState(false);
+  const [frequency, setFrequency] = useState("daily");
+  const [dayOfWeek, setDayOfWeek] = useState("1");
+  const [time, setTime] = useState("03:00");
+  const [syncMode, setSyncMode] = useState("full");
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+  const queryClient = useQueryClient();
+
+  const showToast = (message, error = false) => {
+    setToastMessage(message);
+    setToastError(error);
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["syncSchedules"],
+    queryFn: async () => {
+      const response = await fetch("/api/sync-schedules");
+      if (!response.ok) throw new Error("Failed to fetch sync schedules");
+      return response.json();
+    },
+    refetchInterval: 60000,
+  });
+
+  const requestSchedule = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || "Schedule request failed");
+    }
+    return response.json();
+  };
+
+  const createScheduleMutation = useMutation({
+    mutationFn: (schedule) => requestSchedule("/api/sync-schedules", "POST", schedule),
+    onSuccess: () => {
+      setShowModal(false);
+      showToast("Sync schedule created");
+      queryClient.invalidateQueries(["syncSchedules"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const updateScheduleMutation = useMutation({
+    mutationFn: ({ id, ...changes }) => requestSchedule(`/api/sync-schedules/${id}`, "PUT", changes),
+    onSuccess: () => queryClient.invalidateQueries(["syncSchedules"]),
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const deleteScheduleMutation = useMutation({
+    mutationFn: (id) => requestSchedule(`/api/sync-schedules/${id}`, "DELETE"),
+    onSuccess: () => {
+      showToast("Sync schedule deleted");
+      queryClient.invalidateQueries(["syncSchedules"]);
+    },
+    onError: (error) => showToast(error.message, true),
+  });
+
+  const handleCreate = () => {
+    createScheduleMutation.mutate({
+      frequency,
+      dayOfWeek: frequency === "weekly" ? Number(dayOfWeek) : null,
+      time,
+      syncMode,
+    });
+  };
+
+  const describeSchedule = (schedule) => {
+    const day = schedule.frequency === "weekly" ? `${dayOptions[schedule.day_of_week]?.label}s` : "Daily";
+    return `${day} at ${schedule.time_of_day} (${schedule.timezone})`;
+  };
+
+  // Show times in the schedule's timezone, like the merchant configured them
+  const formatRunTime = (value, timezone) => {
+    if (!value) return "-";
+    return new Date(value).toLocaleString(undefined, { timeZone: timezone });
+  };
+
+  const schedules = data?.schedules || [];
+
+  return (
+    <Frame>
+      {toastMessage && (
+        <Toast content={toastMessage} error={toastError} onDismiss={() => setToastMessage("")} />
+      )}
+
+      <Card title="Scheduled Syncs" sectioned>
+        <Stack vertical spacing="loose">
+          <Stack distribution="equalSpacing" alignment="center">
+            <Text variant="bodyMd" color="subdued">
+              Run syncs automatically. A run is skipped while the previous sync is still going.
+            </Text>
+            <Button onClick={() => setShowModal(true)}>Add schedule</Button>
+          </Stack>
+
+          {isLoading ? (
+            <Stack alignment="center">
+              <Spinner size="small" />
+            </Stack>
+          ) : schedules.length > 0 ? (
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text", "text"]}
+              headings={["Schedule", "Mode", "Next run", "Last run", ""]}
+              rows={schedules.map((schedule) => [
+                describeSchedule(schedule),
+                syncModeOptions.find((option) => option.value === schedule.sync_mode)?.label || schedule.sync_mode,
+                schedule.enabled ? formatRunTime(schedule.next_run_at, schedule.timezone) : "Disabled",
+                schedule.last_run_status ? (
+                  <Stack key={`${schedule.id}-last`} vertical spacing="extraTight">
+                    <Badge {...lastRunBadges[schedule.last_run_status]} />
+                    <Text variant="bodySm" color="subdued">
+                      {schedule.last_run_message || formatRunTime(schedule.last_run_at, schedule.timezone)}
+                    </Text>
+                  </Stack>
+                ) : (
+                  "-"
+                ),
+                <Stack key={`${schedule.id}-actions`} spacing="tight">
+                  <Button
+                    plain
+                    onClick={() => updateScheduleMutation.mutate({ id: schedule.id, enabled: !schedule.enabled })}
+                  >
+                    {schedule.enabled ? "Disable" : "Enable"}
+                  </Button>
+                  <Button plain destructive onClick={() => deleteScheduleMutation.mutate(schedule.id)}>
+                    Delete
+                  </Button>
+                </Stack>,
+              ])}
+            />
+          ) : (
+            <Text color="subdued">No sync schedules yet</Text>
+          )}
+        </Stack>
+      </Card>
+
+      <Modal
+        open={showModal}
+        onClose={() => setShowModal(false)}
+        title="Add sync schedule"
+        primaryAction={{
+          content: "Save schedule",
+          onAction: handleCreate,
+          loading: createScheduleMutation.isLoading,
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setShowModal(false) }]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Select label="Frequency" options={frequencyOptions} value={frequency} onChange={setFrequency} />
+            {frequency === "weekly" && (
+              <Select label="Day" options={dayOptions} value={dayOfWeek} onChange={setDayOfWeek} />
+            )}
+            <TextField
+              label="Time"
+              type="time"
+              value={time}
+              onChange={setTime}
+              helpText="In your store's timezone"
+              autoComplete="off"
+            />
+            <Select
+              label="Sync mode"
+              options={syncModeOptions}
+              value={syncMode}
+              onChange={setSyncMode}
+              helpText="Inventory and price syncs only update products that were already imported."
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Frame>
+  );
+}
@@ -1,5 +1,12 @@
 export { default as SubscriptionGate } from "./SubscriptionGate";
 export { ProductsCard } from "./ProductsCard";
 export { default as ProductSyncCard } from "./ProductSyncCard";
+export { default as SyncSchedulesCard } from "./SyncSchedulesCard";
+export { default as ExchangeRatesCard } from "./ExchangeRatesCard";
+export { default as FieldMappingCard } from "./FieldMappingCard";
+export { default as DelistingPolicyCard } from "./DelistingPolicyCard";
+export { default as SalesChannelsCard } from "./SalesChannelsCard";
+export { default as InventoryLocationsCard } from "./InventoryLocationsCard";
+export { default as CollectionRulesCard } from "./CollectionRulesCard";
 export { default as MarketInfo } from "./MarketInfo";
 export * from "./providers";
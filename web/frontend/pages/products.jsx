@@ -19,7 +19,7 @@ import { useQuery } from "react-query";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { useNavigate } from "react-router-dom";
 
-import { ProductsCard, ProductSyncCard, MarketInfo } from "../components";
+import { ProductsCard, ProductSyncCard, SyncSchedulesCard, ExchangeRatesCard, FieldMappingCard, DelistingPolicyCard, SalesChannelsCard, InventoryLocationsCard, CollectionRulesCard, MarketInfo } from "../components";
 
 export default function Dashboard() {
   const { t } = useTranslation();
@@ -201,6 +201,34 @@ export default function Dashboard() {
       <Layout.Section>
         <ProductSyncCard />
       </Layout.Section>
+
+      <Layout.Section>
+        <SyncSchedulesCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <ExchangeRatesCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <FieldMappingCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <DelistingPolicyCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <SalesChannelsCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <InventoryLocationsCard />
+      </Layout.Section>
+
+      <Layout.Section>
+        <CollectionRulesCard />
+      </Layout.Section>
     </Layout>
   );
 
@@ -7,7 +7,19 @@ import serveStatic from "serve-static";
 import shopify from "./shopify.js";
 import productCreator from "./product-creator.js";
 import PrivacyWebhookHandlers from "./privacy.js";
-import { startSyncJob, getSyncJobStatus, getSyncJobsForShop, forceCancelAllJobs, getCurrentJobStatus, pauseSyncJob, resumeSyncJob } from "./queue/syncJobQueue.js";
+import { startSyncJob, getSyncJobStatus, getSyncJobsForShop, forceCancelAllJobs, getCurrentJobStatus, getSchedulerStatus, pauseSyncJob, resumeSyncJob, recoverInterruptedJobs, getSyncJobFailures, getSyncJobSkips, startRetryFailedJob, getSyncJobPreview } from "./queue/syncJobQueue.js";
+import { listSupplierAdapters, getSupplierAdapter, fetchSupplierProducts } from "./suppliers/index.js";
+import { getThrottleStatus } from "./queue/graphqlThrottle.js";
+import { buildPreviewCsv } from "./queue/syncPreviews.js";
+import { SYNC_MODES } from "./queue/shopifyProducts.js";
+import { getPricingRules, savePricingRules, validatePricingRules, computePrice } from "./queue/pricingRules.js";
+import { listExchangeRates, saveExchangeRate, deleteExchangeRate, getShopCurrency, resolveConversion, convertProductPrices } from "./queue/exchangeRates.js";
+import { FIELD_MAPPING_TARGETS, TRANSFORM_TYPES, getFieldMapping, saveFieldMapping, validateFieldMapping, applyFieldMapping, getMappedFields, listSourceFields } from "./queue/fieldMappings.js";
+import { listPublications, getSavedPublicationIds, savePublicationIds, resolvePublicationIds } from "./queue/salesChannels.js";
+import { listLocations, getInventoryLocations, saveInventoryLocations, resolveInventoryLocations } from "./queue/inventoryLocations.js";
+import { COLLECTION_RULE_TYPES, getCollectionRules, saveCollectionRules } from "./queue/collectionRules.js";
+import { getDelistingPolicy, saveDelistingPolicy, DELISTING_ACTIONS } from "./queue/delistingPolicy.js";
+import { getSchedulesForShop, createSchedule, updateSchedule, deleteSchedule, startSyncScheduler } from "./queue/syncSchedules.js";
 
 const PORT = parseInt(
   process.env.BACKEND_PORT || process.env.PORT || "3000",
@@ -218,10 +230,14 @@ app.get("/api/orders/list", async (_req, res) => {
 });
 
 // Product Sync Endpoints
+app.get("/api/suppliers", async (_req, res) => {
+  res.status(200).send({ suppliers: listSupplierAdapters() });
+});
+
 app.post("/api/products/sync", async (req, res) => {
   try {
     const session = res.locals.shopify.session;
-    const { batchSize = 10, shippingCountry } = req.body;
+    const { batchSize = 10, shippingCountry, supplier, importMethod = "standard", syncMode = "full", dryRun = false } = req.body;
     
     // Validate shipping country
     if (!shippingCountry) {
@@ -229,16 +245,48 @@ app.post("/api/products/sync", async (req, res) => {
       return;
     }
     
-    const result = await startSyncJob(session, { 
+    // Validate supplier adapter
+    if (supplier && !listSupplierAdapters().some(adapter => adapter.name === supplier)) {
+      res.status(400).send({ error: `Unknown supplier: ${supplier}` });
+      return;
+    }
+    
+    // Validate import method
+    if (!["standard", "bulk"].includes(importMethod)) {
+      res.status(400).send({ error: "Import method must be 'standard' or 'bulk'" });
+      return;
+    }
+    
+    // Validate sync mode
+    if (!SYNC_MODES.includes(syncMode)) {
+      res.status(400).send({ error: `Sync mode must be one of: ${SYNC_MODES.join(", ")}` });
+      return;
+    }
+    
+    // Validate dry-run flag
+    if (typeof dryRun !== "boolean") {
+      res.status(400).send({ error: "dryRun must be a boolean" });
+      return;
+    }
+    
+    // The job loads the shop's offline session itself; only the shop is passed on
+    const result = await startSyncJob(session.shop, { 
       batchSize, 
-      shippingCountry 
+      shippingCountry,
+      supplier,
+      importMethod,
+      syncMode,
+      dryRun
     });
     
     res.status(200).send({ 
       success: true, 
-      message: `Sync job started successfully for shipping country: ${shippingCountry}`,
+      message: dryRun
+        ? `Dry run started for shipping country: ${shippingCountry}`
+        : `Sync job started successfully for shipping country: ${shippingCountry}`,
       jobId: result.jobId,
-      shippingCountry: shippingCountry
+      shippingCountry: shippingCountry,
+      dryRun
     });
   } catch (error) {
     console.error("Failed to start sync job:", error.message);
@@ -249,7 +297,7 @@ app.post("/api/products/sync", async (req, res) => {
 app.get("/api/products/sync/:jobId/status", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getSyncJobStatus(jobId);
+    const result = await getSyncJobStatus(jobId, res.locals.shopify.session.shop);
     
     if (!result.job) {
       res.status(404).send({ error: "Job not found" });
@@ -279,7 +327,7 @@ app.get("/api/products/sync/history", async (req, res) => {
 
 app.delete("/api/products/sync/force/all", async (req, res) => {
   try {
-    const result = await forceCancelAllJobs();
+    const result = await forceCancelAllJobs(res.locals.shopify.session.shop);
     
     if (!result.success) {
       res.status(500).send({ error: result.error });
@@ -301,7 +349,7 @@ app.delete("/api/products/sync/force/all", async (req, res) => {
 app.post("/api/products/sync/:jobId/pause", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await pauseSyncJob(jobId);
+    const result = await pauseSyncJob(jobId, res.locals.shopify.session.shop);
     
     if (!result.success) {
       res.status(400).send({ error: result.error || "Failed to pause sync job" });
@@ -318,14 +366,14 @@ app.post("/api/products/sync/:jobId/pause", async (req, res) => {
   }
 });
 
-// Resume sync job
+// Resume a paused, interrupted or re-authorized sync job
 app.post("/api/products/sync/:jobId/resume", async (req, res) => {
   try {
     const { jobId } = req.params;
     const session = res.locals.shopify.session;
     const { batchSize = 50 } = req.body;
     
-    const result = await resumeSyncJob(jobId, session, { batchSize });
+    const result = await resumeSyncJob(jobId, session.shop, { batchSize });
     
     if (!result.success) {
       res.status(400).send({ error: result.error || "Failed to resume sync job" });
@@ -342,14 +390,493 @@ app.post("/api/products/sync/:jobId/resume", async (req, res) => {
   }
 });
 
+// Summary of a dry run
+app.get("/api/products/sync/:jobId/preview", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await getSyncJobPreview(jobId, res.locals.shopify.session.shop);
+    
+    if (!result.job) {
+      res.status(404).send({ error: "Dry run not found" });
+      return;
+    }
+    
+    res.status(200).send({ summary: result.summary });
+  } catch (error) {
+    console.error("Failed to get dry run summary:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Download the per-product report of a dry run as CSV
+app.get("/api/products/sync/:jobId/report", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await getSyncJobPreview(jobId, res.locals.shopify.session.shop);
+    
+    if (!result.job) {
+      res.status(404).send({ error: "Dry run not found" });
+      return;
+    }
+    
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="dry-run-${jobId}.csv"`);
+    res.status(200).send(buildPreviewCsv(result.rows));
+  } catch (error) {
+    console.error("Failed to build dry run report:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// List the products a sync job failed to sync
+app.get("/api/products/sync/:jobId/failures", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await getSyncJobFailures(jobId, res.locals.shopify.session.shop);
+    
+    if (!result.job) {
+      res.status(404).send({ error: "Job not found" });
+      return;
+    }
+    
+    res.status(200).send({ failures: result.failures });
+  } catch (error) {
+    console.error("Failed to get sync job failures:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// List the products a sync job skipped, with the reason
+app.get("/api/products/sync/:jobId/skipped", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await getSyncJobSkips(jobId, res.locals.shopify.session.shop);
+    
+    if (!result.job) {
+      res.status(404).send({ error: "Job not found" });
+      return;
+    }
+    
+    res.status(200).send({ skipped: result.skips });
+  } catch (error) {
+    console.error("Failed to get skipped products:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Start a child job that retries only the failed products of a job
+app.post("/api/products/sync/:jobId/retry-failed", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await startRetryFailedJob(jobId, res.locals.shopify.session.shop);
+    
+    if (!result.success) {
+      res.status(result.error === "Job not found" ? 404 : 400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ 
+      success: true, 
+      message: `Retrying ${result.retryCount} failed products`,
+      jobId: result.jobId
+    });
+  } catch (error) {
+    console.error("Failed to start retry job:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the shop's pricing rules
+app.get("/api/pricing-rules", async (_req, res) => {
+  try {
+    const rules = await getPricingRules(res.locals.shopify.session.shop);
+    res.status(200).send({ rules });
+  } catch (error) {
+    console.error("Failed to get pricing rules:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Replace the shop's pricing rules
+app.put("/api/pricing-rules", async (req, res) => {
+  try {
+    const result = await savePricingRules(res.locals.shopify.session.shop, req.body.rules);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, rules: result.rules });
+  } catch (error) {
+    console.error("Failed to save pricing rules:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Preview cost, price and margin for a sample product
+// Uses the posted (unsaved) rules when given, and the first product of the supplier feed
+// unless a sample { cost, category, vendor } is posted.
+app.post("/api/pricing-rules/preview", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const { rules: draftRules, sample, supplier } = req.body;
+    
+    if (draftRules) {
+      const validationError = validatePricingRules(draftRules);
+      if (validationError) {
+        res.status(400).send({ error: validationError });
+        return;
+      }
+    }
+    const rules = draftRules ? { tiers: [], overrides: [], ...draftRules } : await getPricingRules(session.shop);
+    
+    let product = sample;
+    if (!product) {
+      const adapter = getSupplierAdapter(supplier);
+      const { products } = await fetchSupplierProducts(adapter, 0, 1);
+      if (products.length === 0) {
+        res.status(404).send({ error: "The supplier feed has no products to preview" });
+        return;
+      }
+      // Feed prices are in the supplier's currency; convert them like a sync would
+      const conversion = await resolveConversion(session, adapter.currency || "USD");
+      const fieldMapping = await getFieldMapping(session.shop);
+      const converted = convertProductPrices(conversion, applyFieldMapping(fieldMapping, products[0]));
+      product = { id: converted.id, title: converted.title, category: converted.category, vendor: converted.vendor, cost: converted.price, currency: conversion.to };
+    }
+    
+    const cost = Number(product.cost);
+    if (!Number.isFinite(cost) || cost < 0) {
+      res.status(400).send({ error: "Sample cost must be a non-negative number" });
+      return;
+    }
+    
+    res.status(200).send({ product, ...computePrice(rules, cost, product) });
+  } catch (error) {
+    console.error("Failed to preview pricing:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the shop's rules for adding imported products to collections
+app.get("/api/collection-rules", async (_req, res) => {
+  try {
+    const rules = await getCollectionRules(res.locals.shopify.session.shop);
+    res.status(200).send({ rules, types: COLLECTION_RULE_TYPES });
+  } catch (error) {
+    console.error("Failed to get collection rules:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Replace the shop's collection rules
+app.put("/api/collection-rules", async (req, res) => {
+  try {
+    const result = await saveCollectionRules(res.locals.shopify.session.shop, req.body.rules);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, rules: result.rules });
+  } catch (error) {
+    console.error("Failed to save collection rules:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// List the shop's sales channels and the ones imported products are published to
+app.get("/api/sales-channels", async (_req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const [publications, savedIds] = await Promise.all([listPublications(session), getSavedPublicationIds(session.shop)]);
+    const selectedIds = savedIds || await resolvePublicationIds(session);
+    
+    res.status(200).send({ publications, selectedIds, configured: !!savedIds });
+  } catch (error) {
+    console.error("Failed to list sales channels:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Choose the sales channels imported products are published to
+app.put("/api/sales-channels", async (req, res) => {
+  try {
+    const result = await savePublicationIds(res.locals.shopify.session, req.body.publicationIds);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, selectedIds: result.publicationIds });
+  } catch (error) {
+    console.error("Failed to save sales channels:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// List the shop's locations and the ones supplier stock is set at
+app.get("/api/inventory-locations", async (_req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const [locations, saved] = await Promise.all([listLocations(session), getInventoryLocations(session.shop)]);
+    const settings = saved || await resolveInventoryLocations(session);
+    
+    res.status(200).send({ locations, settings, configured: !!saved });
+  } catch (error) {
+    console.error("Failed to list inventory locations:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Choose the default location and the locations of supplier warehouses
+app.put("/api/inventory-locations", async (req, res) => {
+  try {
+    const result = await saveInventoryLocations(res.locals.shopify.session, req.body.settings);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, settings: result.settings });
+  } catch (error) {
+    console.error("Failed to save inventory locations:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the shop's policy for products that disappear from the supplier feed
+app.get("/api/delisting-policy", async (_req, res) => {
+  try {
+    const policy = await getDelistingPolicy(res.locals.shopify.session.shop);
+    res.status(200).send({ policy, actions: DELISTING_ACTIONS });
+  } catch (error) {
+    console.error("Failed to get delisting policy:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Replace the shop's delisting policy
+app.put("/api/delisting-policy", async (req, res) => {
+  try {
+    const result = await saveDelistingPolicy(res.locals.shopify.session.shop, req.body.policy);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, policy: result.policy });
+  } catch (error) {
+    console.error("Failed to save delisting policy:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the shop's field mapping and the fields it can set
+app.get("/api/field-mappings", async (_req, res) => {
+  try {
+    const mapping = await getFieldMapping(res.locals.shopify.session.shop);
+    res.status(200).send({ mapping, targets: FIELD_MAPPING_TARGETS, transforms: TRANSFORM_TYPES });
+  } catch (error) {
+    console.error("Failed to get field mapping:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Replace the shop's field mapping
+app.put("/api/field-mappings", async (req, res) => {
+  try {
+    const result = await saveFieldMapping(res.locals.shopify.session.shop, req.body.mapping);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, mapping: result.mapping });
+  } catch (error) {
+    console.error("Failed to save field mapping:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Preview a mapping on the first product of the supplier feed
+// Uses the posted (unsaved) mapping when given, and lists the supplier fields it can read.
+app.post("/api/field-mappings/preview", async (req, res) => {
+  try {
+    const { mapping: draftMapping, supplier } = req.body;
+    
+    if (draftMapping) {
+      const validationError = validateFieldMapping(draftMapping);
+      if (validationError) {
+        res.status(400).send({ error: validationError });
+        return;
+      }
+    }
+    const mapping = draftMapping || await getFieldMapping(res.locals.shopify.session.shop);
+    
+    const { products } = await fetchSupplierProducts(getSupplierAdapter(supplier), 0, 1);
+    if (products.length === 0) {
+      res.status(404).send({ error: "The supplier feed has no products to preview" });
+      return;
+    }
+    
+    const [product] = products;
+    res.status(200).send({
+      sourceFields: listSourceFields(product.supplier_data),
+      original: getMappedFields(product),
+      mapped: getMappedFields(applyFieldMapping(mapping, product))
+    });
+  } catch (error) {
+    console.error("Failed to preview field mapping:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// List the shop's exchange rates and its store currency
+app.get("/api/exchange-rates", async (_req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const [rates, shopCurrency] = await Promise.all([
+      listExchangeRates(session.shop),
+      getShopCurrency(session)
+    ]);
+    res.status(200).send({ shopCurrency, rates });
+  } catch (error) {
+    console.error("Failed to get exchange rates:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Add an exchange rate, or replace the rate of the same pair and effective date
+app.put("/api/exchange-rates", async (req, res) => {
+  try {
+    const result = await saveExchangeRate(res.locals.shopify.session.shop, req.body);
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, rate: result.rate });
+  } catch (error) {
+    console.error("Failed to save exchange rate:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete an exchange rate
+app.delete("/api/exchange-rates/:rateId", async (req, res) => {
+  try {
+    const { rateId } = req.params;
+    const result = await deleteExchangeRate(res.locals.shopify.session.shop, rateId);
+    
+    if (!result.success) {
+      res.status(404).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true });
+  } catch (error) {
+    console.error("Failed to delete exchange rate:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// The shop's IANA timezone, used for sync schedules
+const getShopTimezone = async (session) => {
+  const client = new shopify.api.clients.Graphql({ session });
+  const response = await client.request(`
+    query getShopTimezone {
+      shop {
+        ianaTimezone
+      }
+    }
+  `);
+  return response.data.shop.ianaTimezone;
+};
+
+// List the shop's recurring sync schedules
+app.get("/api/sync-schedules", async (_req, res) => {
+  try {
+    const schedules = await getSchedulesForShop(res.locals.shopify.session.shop);
+    res.status(200).send({ schedules });
+  } catch (error) {
+    console.error("Failed to get sync schedules:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Create a recurring sync schedule in the shop's timezone
+app.post("/api/sync-schedules", async (req, res) => {
+  try {
+    const session = res.locals.shopify.session;
+    const timezone = req.body.timezone || await getShopTimezone(session);
+    const result = await createSchedule(session.shop, { ...req.body, timezone });
+    
+    if (!result.success) {
+      res.status(400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, schedule: result.schedule });
+  } catch (error) {
+    console.error("Failed to create sync schedule:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update a recurring sync schedule
+app.put("/api/sync-schedules/:scheduleId", async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const result = await updateSchedule(scheduleId, res.locals.shopify.session.shop, req.body);
+    
+    if (!result.success) {
+      res.status(result.error === "Schedule not found" ? 404 : 400).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true, schedule: result.schedule });
+  } catch (error) {
+    console.error("Failed to update sync schedule:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete a recurring sync schedule
+app.delete("/api/sync-schedules/:scheduleId", async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const result = await deleteSchedule(scheduleId, res.locals.shopify.session.shop);
+    
+    if (!result.success) {
+      res.status(404).send({ error: result.error });
+      return;
+    }
+    
+    res.status(200).send({ success: true });
+  } catch (error) {
+    console.error("Failed to delete sync schedule:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
 // Get current job status (for health checks)
 app.get("/api/products/sync/current", async (req, res) => {
   try {
-    const currentJob = getCurrentJobStatus();
+    const currentJob = getCurrentJobStatus(res.locals.shopify.session.shop);
     
     res.status(200).send({ 
       hasActiveJob: !!currentJob,
-      currentJob: currentJob 
+      currentJob: currentJob,
+      scheduler: getSchedulerStatus(),
+      throttle: getThrottleStatus(res.locals.shopify.session.shop)
     });
   } catch (error) {
     console.error("Failed to get current job status:", error.message);
@@ -381,7 +908,10 @@ app.post("/api/products/sync/test", async (req, res) => {
     console.log(`[DEBUG] Session details:`, { shop: session?.shop, accessToken: session?.accessToken ? 'present' : 'missing' });
     
     const { createShopifyProduct } = await import('./queue/syncJobQueue.js');
-    const result = await createShopifyProduct(session, testProduct);
+    const result = await createShopifyProduct(session, testProduct, {
+      publicationIds: await resolvePublicationIds(session),
+      inventoryLocations: await resolveInventoryLocations(session)
+    });
     
     res.status(200).send({ 
       success: true,
@@ -705,3 +1235,7 @@ app.use("/*", shopify.ensureInstalledOnShop(), async (_req, res, _next) => {
 });
 
 app.listen(PORT);
+
+// Pick up sync jobs that were running when the server last stopped, then start the
+// schedule timer so due schedules see the recovered jobs
+recoverInterruptedJobs().then(() => startSyncScheduler());
@@ -0,0 +1,225 @@
+import { writeFile, readFile, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createThrottledClient } from './graphqlThrottle.js';
+import { withRetry } from './retryPolicy.js';
+
+// Shopify bulk mutation helpers
+// A bulk import writes one JSONL line of mutation variables per product, uploads the file
+// through a staged upload, runs bulkOperationRunMutation and polls it until it finishes.
+
+// Shopify accepts bulk mutation variable files up to 20 MB; keep some headroom
+export const MAX_BULK_FILE_BYTES = 19 * 1024 * 1024;
+
+const BULK_POLL_INTERVAL_MS = 5000;
+
+export const PRODUCT_SET_MUTATION = `
+  mutation productSet($input: ProductSetInput!) {
+    productSet(input: $input) {
+      product {
+        id
+        variants(first: 250) {
+          nodes {
+            id
+            selectedOptions {
+              name
+              value
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const PUBLISHABLE_PUBLISH_MUTATION = `
+  mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+    publishablePublish(id: $id, input: $input) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Write JSONL lines to a temporary file and return its path
+export const writeJsonlFile = async (name, lines) => {
+  const filePath = join(tmpdir(), `${name}.jsonl`);
+  await writeFile(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+  return filePath;
+};
+
+// Upload a JSONL file as bulk mutation variables, returns the staged upload path
+export const stageBulkVariables = async (session, filePath) => {
+  const client = createThrottledClient(session);
+  const filename = filePath.split('/').pop();
+
+  const stagedUploadMutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await client.request(stagedUploadMutation, {
+    variables: {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename,
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    }
+  });
+
+  if (result.data.stagedUploadsCreate.userErrors.length > 0) {
+    const error = result.data.stagedUploadsCreate.userErrors[0];
+    throw new Error(`Shopify API error: ${error.message} (field: ${error.field})`);
+  }
+
+  const target = result.data.stagedUploadsCreate.stagedTargets[0];
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([await readFile(filePath)], { type: 'text/jsonl' }), filename);
+
+  const uploadResponse = await fetch(target.url, { method: 'POST', body: form });
+  if (!uploadResponse.ok) {
+    throw new Error(`Staged upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+  }
+
+  // The staged upload path is the "key" parameter of the upload target
+  return target.parameters.find(parameter => parameter.name === 'key').value;
+};
+
+// Start a bulk mutation over the staged variables, returns the bulk operation id
+export const runBulkMutation = async (session, mutation, stagedUploadPath) => {
+  const client = createThrottledClient(session);
+
+  const result = await client.request(`
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { mutation, stagedUploadPath }
+  });
+
+  if (result.data.bulkOperationRunMutation.userErrors.length > 0) {
+    const error = result.data.bulkOperationRunMutation.userErrors[0];
+    throw new Error(`Shopify API error: ${error.message} (field: ${error.field})`);
+  }
+
+  return result.data.bulkOperationRunMutation.bulkOperation.id;
+};
+
+// Request cancellation of a running bulk operation
+export const cancelBulkOperation = async (session, bulkOperationId) => {
+  const client = createThrottledClient(session);
+
+  try {
+    await client.request(`
+      mutation bulkOperationCancel($id: ID!) {
+        bulkOperationCancel(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      variables: { id: bulkOperationId }
+    });
+  } catch (error) {
+    console.warn(`[WARNING] Failed to cancel bulk operation ${bulkOperationId}: ${error.message}`);
+  }
+};
+
+// Poll a bulk operation until it reaches a final status
+// shouldCancel is checked between polls; when it returns true the operation is cancelled.
+export const waitForBulkOperation = async (session, bulkOperationId, { shouldCancel = () => false } = {}) => {
+  const client = createThrottledClient(session);
+  let cancelRequested = false;
+
+  while (true) {
+    const result = await client.request(`
+      query bulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+            partialDataUrl
+          }
+        }
+      }
+    `, {
+      variables: { id: bulkOperationId }
+    });
+
+    const operation = result.data.node;
+    console.log(`[DEBUG] Bulk operation ${bulkOperationId}: ${operation.status} (${operation.objectCount} objects)`);
+
+    if (['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+      return operation;
+    }
+
+    if (!cancelRequested && shouldCancel()) {
+      cancelRequested = true;
+      await cancelBulkOperation(session, bulkOperationId);
+    }
+
+    await sleep(BULK_POLL_INTERVAL_MS);
+  }
+};
+
+// Download and parse a bulk operation result file
+export const readBulkResults = async (url) => {
+  if (!url) return [];
+
+  const text = await withRetry(async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw Object.assign(new Error(`Failed to download bulk results: ${response.status} ${response.statusText}`), {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after')
+      });
+    }
+    return response.text();
+  }, { label: 'Bulk results download' });
+
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+};
+
+// Remove a temporary JSONL file
+export const removeJsonlFile = async (filePath) => {
+  await unlink(filePath).catch(() => {});
+};
@@ -0,0 +1,266 @@
+import { db, dbRun, dbGet } from './db.js';
+import { createThrottledClient } from './graphqlThrottle.js';
+import { clearContentHashes } from './productMappings.js';
+
+// Per-shop rules that add imported products to custom collections
+// Rule shapes:
+//   { type: 'brand' | 'category' | 'tag', value: 'Apple' | null, collection: 'Apple' | '{value}' }
+//   { type: 'price', min: 0 | null, max: 50 | null, collection: 'Under 50' }
+// brand matches the product vendor, category its product type and tag any of its tags, ignoring
+// case. A rule without a value matches every non-empty value and replaces `{value}` in the
+// collection title with it, so { type: 'brand', collection: '{value}' } gives every brand a
+// collection of its own. price matches products priced at least min and below max, after
+// currency conversion and pricing rules.
+// Collections that do not exist yet are created as custom collections. Products are added on
+// creation and update, and never removed from a collection.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS collection_rules (
+      shop_domain TEXT PRIMARY KEY,
+      rules TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+export const COLLECTION_RULE_TYPES = ['brand', 'category', 'tag', 'price'];
+
+const MAX_RULES = 50;
+const MAX_TITLE_LENGTH = 255;
+// collectionAddProducts and nodes() take at most 250 ids
+const PRODUCTS_PER_REQUEST = 250;
+
+// Product values each attribute rule matches against
+const RULE_VALUES = {
+  brand: (product) => [product.vendor],
+  category: (product) => [product.category],
+  tag: (product) => product.tags || []
+};
+
+const validateRule = (rule, label) => {
+  if (!rule || !COLLECTION_RULE_TYPES.includes(rule.type)) {
+    return `${label}: type must be one of: ${COLLECTION_RULE_TYPES.join(', ')}`;
+  }
+  if (typeof rule.collection !== 'string' || !rule.collection.trim() || rule.collection.length > MAX_TITLE_LENGTH) {
+    return `${label}: collection must be a title of 1 to ${MAX_TITLE_LENGTH} characters`;
+  }
+
+  if (rule.type === 'price') {
+    const bounds = [rule.min, rule.max].filter(bound => bound !== null && bound !== undefined);
+    if (bounds.length === 0) {
+      return `${label}: a price rule needs a min or a max`;
+    }
+    if (bounds.some(bound => typeof bound !== 'number' || !Number.isFinite(bound) || bound < 0)) {
+      return `${label}: min and max must be non-negative numbers`;
+    }
+    if (bounds.length === 2 && rule.min >= rule.max) {
+      return `${label}: min must be below max`;
+    }
+    return null;
+  }
+
+  if (rule.value !== null && rule.value !== undefined && (typeof rule.value !== 'string' || !rule.value.trim())) {
+    return `${label}: value must be a non-empty string`;
+  }
+  return null;
+};
+
+// Validate a list of rules, returns an error message or null
+export const validateCollectionRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return 'Collection rules must be an array';
+  }
+  if (rules.length > MAX_RULES) {
+    return `At most ${MAX_RULES} collection rules are supported`;
+  }
+  for (const [index, rule] of rules.entries()) {
+    const error = validateRule(rule, `Rule ${index + 1}`);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+};
+
+export const getCollectionRules = async (shopDomain) => {
+  const row = await dbGet('SELECT rules FROM collection_rules WHERE shop_domain = ?', shopDomain);
+  return row ? JSON.parse(row.rules) : [];
+};
+
+export const saveCollectionRules = async (shopDomain, rules) => {
+  const error = validateCollectionRules(rules);
+  if (error) {
+    return { success: false, error };
+  }
+
+  await dbRun(`
+    INSERT INTO collection_rules (shop_domain, rules, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET rules = excluded.rules, updated_at = CURRENT_TIMESTAMP
+  `, shopDomain, JSON.stringify(rules));
+
+  return { success: true, rules };
+};
+
+// Collection titles a rule puts the product in
+const matchRule = (rule, product) => {
+  if (rule.type === 'price') {
+    const price = Number(product.price);
+    const matches = Number.isFinite(price)
+      && (rule.min === null || rule.min === undefined || price >= rule.min)
+      && (rule.max === null || rule.max === undefined || price < rule.max);
+    return matches ? [rule.collection.trim()] : [];
+  }
+
+  const values = RULE_VALUES[rule.type](product)
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim());
+  const matched = rule.value ? values.filter(value => value.toLowerCase() === rule.value.trim().toLowerCase()) : values;
+  return matched.map(value => rule.collection.replaceAll('{value}', value).trim()).filter(Boolean);
+};
+
+// Set `collections` on a prepared product to the titles of the collections its rules match
+export const applyCollectionRules = (rules, product) => {
+  const titles = new Map();
+  for (const rule of rules) {
+    for (const title of matchRule(rule, product)) {
+      if (!titles.has(title.toLowerCase())) {
+        titles.set(title.toLowerCase(), title);
+      }
+    }
+  }
+  return { ...product, collections: [...titles.values()] };
+};
+
+// Collection ids by shop and lowercased title, so each job looks collections up once
+const collectionIds = new Map();
+
+// Id of the custom collection with the given title, creating the collection when it is missing
+const ensureCollection = async (client, shopDomain, title) => {
+  const key = `${shopDomain}\n${title.toLowerCase()}`;
+  if (collectionIds.has(key)) {
+    return collectionIds.get(key);
+  }
+
+  const existing = await client.request(`
+    query findCollection($query: String!) {
+      collections(first: 10, query: $query) {
+        nodes {
+          id
+          title
+        }
+      }
+    }
+  `, { variables: { query: `collection_type:custom AND title:${JSON.stringify(title)}` } });
+
+  let collection = existing.data.collections.nodes.find(node => node.title.toLowerCase() === title.toLowerCase());
+  if (!collection) {
+    console.log(`[DEBUG] Creating collection "${title}" for ${shopDomain}`);
+    const result = await client.request(`
+      mutation collectionCreate($input: CollectionInput!) {
+        collectionCreate(input: $input) {
+          collection {
+            id
+            title
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { variables: { input: { title } } });
+
+    const { userErrors } = result.data.collectionCreate;
+    if (userErrors.length > 0) {
+      throw new Error(`Collection "${title}" could not be created: ${userErrors[0].message}`);
+    }
+    collection = result.data.collectionCreate.collection;
+  }
+
+  collectionIds.set(key, collection.id);
+  return collection.id;
+};
+
+// The products of a list that are not in the collection yet
+const getProductsOutsideCollection = async (client, collectionId, productIds) => {
+  const outside = [];
+  for (let start = 0; start < productIds.length; start += PRODUCTS_PER_REQUEST) {
+    const result = await client.request(`
+      query productsInCollection($ids: [ID!]!, $collectionId: ID!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            inCollection(id: $collectionId)
+          }
+        }
+      }
+    `, { variables: { ids: productIds.slice(start, start + PRODUCTS_PER_REQUEST), collectionId } });
+
+    outside.push(...result.data.nodes.filter(node => node && !node.inCollection).map(node => node.id));
+  }
+  return outside;
+};
+
+// Add products to the collections their rules matched
+// Takes [{ productId, collections }] and, per collection, looks up which products are not in it
+// yet and adds them with one collectionAddProducts call. Resolves to the number of additions,
+// counting a product once per collection. Failures are logged and do not fail the products;
+// their content hash is cleared so the next sync adds them again.
+export const addProductsToCollections = async (session, entries) => {
+  const productsByTitle = new Map();
+  for (const { productId, collections = [] } of entries) {
+    for (const title of collections) {
+      productsByTitle.set(title, [...(productsByTitle.get(title) || []), productId]);
+    }
+  }
+  if (productsByTitle.size === 0) return 0;
+
+  const client = createThrottledClient(session);
+  const failedProductIds = new Set();
+  let added = 0;
+
+  for (const [title, productIds] of productsByTitle) {
+    try {
+      const collectionId = await ensureCollection(client, session.shop, title);
+      const missing = await getProductsOutsideCollection(client, collectionId, productIds);
+
+      for (let start = 0; start < missing.length; start += PRODUCTS_PER_REQUEST) {
+        const batch = missing.slice(start, start + PRODUCTS_PER_REQUEST);
+        const result = await client.request(`
+          mutation collectionAddProducts($id: ID!, $productIds: [ID!]!) {
+            collectionAddProducts(id: $id, productIds: $productIds) {
+              collection {
+                id
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `, { variables: { id: collectionId, productIds: batch } });
+
+        const { userErrors } = result.data.collectionAddProducts;
+        if (userErrors.length > 0) {
+          throw new Error(`${userErrors[0].message} (field: ${userErrors[0].field})`);
+        }
+        added += batch.length;
+      }
+    } catch (error) {
+      // Look the collection up again next time, it may have been deleted
+      collectionIds.delete(`${session.shop}\n${title.toLowerCase()}`);
+      console.warn(`[WARNING] Failed to add products to collection "${title}": ${error.message}`);
+      productIds.forEach(productId => failedProductIds.add(productId));
+    }
+  }
+
+  if (failedProductIds.size > 0) {
+    await clearContentHashes(session.shop, [...failedProductIds]);
+  }
+
+  if (added > 0) {
+    console.log(`[SUCCESS] Added ${added} products to collections for ${session.shop}`);
+  }
+  return added;
+};
@@ -0,0 +1,17 @@
+import sqlite3 from 'sqlite3';
+import { promisify } from 'util';
+
+// Shared SQLite connection for sync jobs and related sync state
+export const db = new sqlite3.Database('./sync_jobs.db');
+export const dbRun = promisify(db.run.bind(db));
+export const dbGet = promisify(db.get.bind(db));
+export const dbAll = promisify(db.all.bind(db));
+
+// Add a column to an existing table, ignoring the error when it is already there
+export const addColumnIfMissing = (table, columnDefinition) => {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error adding column to ${table} (${columnDefinition}):`, err);
+    }
+  });
+};
@@ -0,0 +1,98 @@
+import { db, dbRun, dbGet } from './db.js';
+import { recordMissedRun, markProductDelisted } from './productMappings.js';
+import { delistShopifyProduct } from './shopifyProducts.js';
+import { resolveInventoryLocations } from './inventoryLocations.js';
+
+// Per-shop policy for mapped products that disappear from the supplier feed
+// At the end of every completed full sync, each mapped product the run did not see counts a
+// missed run. Once a product has missed `graceRuns` consecutive runs, the policy action is
+// applied once:
+//   - leave: keep the product as it is (the default, like syncs before policies existed)
+//   - draft / archive: set the product status to DRAFT or ARCHIVED
+//   - zero-inventory: set the stock of every variant to 0 at the shop's inventory locations
+// The grace period guards against delisting products during a partial feed outage. Products
+// that come back are reactivated by the next sync that writes them.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS delisting_policies (
+      shop_domain TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      grace_runs INTEGER NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+export const DELISTING_ACTIONS = ['leave', 'draft', 'archive', 'zero-inventory'];
+
+export const DEFAULT_DELISTING_POLICY = {
+  action: 'leave',
+  graceRuns: 3
+};
+
+// Validate a policy, returns an error message or null
+export const validateDelistingPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') {
+    return 'Delisting policy must be an object';
+  }
+  if (!DELISTING_ACTIONS.includes(policy.action)) {
+    return `Action must be one of: ${DELISTING_ACTIONS.join(', ')}`;
+  }
+  if (!Number.isInteger(policy.graceRuns) || policy.graceRuns < 1 || policy.graceRuns > 30) {
+    return 'Grace period must be between 1 and 30 runs';
+  }
+  return null;
+};
+
+export const getDelistingPolicy = async (shopDomain) => {
+  const row = await dbGet('SELECT action, grace_runs FROM delisting_policies WHERE shop_domain = ?', shopDomain);
+  return row ? { action: row.action, graceRuns: row.grace_runs } : DEFAULT_DELISTING_POLICY;
+};
+
+export const saveDelistingPolicy = async (shopDomain, input) => {
+  const policy = { ...DEFAULT_DELISTING_POLICY, ...input };
+  const error = validateDelistingPolicy(policy);
+  if (error) {
+    return { success: false, error };
+  }
+
+  await dbRun(`
+    INSERT INTO delisting_policies (shop_domain, action, grace_runs, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET action = excluded.action, grace_runs = excluded.grace_runs, updated_at = CURRENT_TIMESTAMP
+  `, shopDomain, policy.action, policy.graceRuns);
+
+  return { success: true, policy: { action: policy.action, graceRuns: policy.graceRuns } };
+};
+
+// Apply the shop's policy after a completed full sync of a supplier's feed
+// Resolves to the number of products delisted. Products that fail to update are logged and
+// tried again after the next run.
+export const applyDelistingPolicy = async (session, jobId, supplier) => {
+  const policy = await getDelistingPolicy(session.shop);
+  if (policy.action === 'leave') {
+    return 0;
+  }
+
+  const missing = await recordMissedRun(session.shop, supplier, jobId, policy.graceRuns);
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  console.log(`[DEBUG] Job ${jobId}: ${missing.length} products missed ${policy.graceRuns}+ runs, applying ${policy.action}`);
+
+  const inventoryLocations = policy.action === 'zero-inventory' ? await resolveInventoryLocations(session) : null;
+  let delisted = 0;
+  for (const mapping of missing) {
+    try {
+      const statusBeforeDelisting = await delistShopifyProduct(session, mapping, policy.action, { inventoryLocations });
+      await markProductDelisted(session.shop, supplier, mapping.supplier_product_id, statusBeforeDelisting);
+      delisted++;
+    } catch (error) {
+      console.warn(`[WARNING] Job ${jobId}: Failed to ${policy.action} product ${mapping.shopify_product_id}: ${error.message}`);
+    }
+  }
+
+  console.log(`[SUCCESS] Job ${jobId}: Delisted ${delisted} of ${missing.length} products missing from the feed`);
+  return delisted;
+};
@@ -0,0 +1,163 @@
+import { db, dbRun, dbGet, dbAll } from './db.js';
+import { createThrottledClient } from './graphqlThrottle.js';
+
+// Merchant-maintained exchange rates
+// Supplier prices are converted from the supplier's currency to the shop's store currency
+// before pricing rules run. Each rate has an effective date; a job uses the latest rate that
+// is effective on the day it starts and records it for auditing.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shop_domain TEXT NOT NULL,
+      base_currency TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      rate REAL NOT NULL,
+      effective_date TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shop_domain, base_currency, quote_currency, effective_date)
+    )
+  `);
+});
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Validate an exchange rate payload, returns an error message or null
+export const validateExchangeRate = ({ baseCurrency, quoteCurrency, rate, effectiveDate }) => {
+  if (!CURRENCY_PATTERN.test(baseCurrency || '') || !CURRENCY_PATTERN.test(quoteCurrency || '')) {
+    return 'Currencies must be ISO 4217 codes such as USD or EUR';
+  }
+  if (baseCurrency === quoteCurrency) {
+    return 'Base and quote currency must differ';
+  }
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+    return 'Rate must be a positive number';
+  }
+  if (!DATE_PATTERN.test(effectiveDate || '') || Number.isNaN(Date.parse(effectiveDate))) {
+    return 'Effective date must use the YYYY-MM-DD format';
+  }
+  return null;
+};
+
+export const listExchangeRates = async (shopDomain) => {
+  return dbAll(`
+    SELECT * FROM exchange_rates
+    WHERE shop_domain = ?
+    ORDER BY base_currency, quote_currency, effective_date DESC
+  `, shopDomain);
+};
+
+// Insert a rate, or replace the rate of the same currency pair and effective date
+export const saveExchangeRate = async (shopDomain, input) => {
+  const rate = {
+    baseCurrency: input.baseCurrency || 'USD',
+    quoteCurrency: input.quoteCurrency,
+    rate: input.rate,
+    effectiveDate: input.effectiveDate || today()
+  };
+
+  const error = validateExchangeRate(rate);
+  if (error) {
+    return { success: false, error };
+  }
+
+  await dbRun(`
+    INSERT INTO exchange_rates (shop_domain, base_currency, quote_currency, rate, effective_date)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(shop_domain, base_currency, quote_currency, effective_date)
+    DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP
+  `, shopDomain, rate.baseCurrency, rate.quoteCurrency, rate.rate, rate.effectiveDate);
+
+  const saved = await dbGet(`
+    SELECT * FROM exchange_rates
+    WHERE shop_domain = ? AND base_currency = ? AND quote_currency = ? AND effective_date = ?
+  `, shopDomain, rate.baseCurrency, rate.quoteCurrency, rate.effectiveDate);
+
+  return { success: true, rate: saved };
+};
+
+export const deleteExchangeRate = async (shopDomain, rateId) => {
+  const existing = await dbGet('SELECT id FROM exchange_rates WHERE id = ? AND shop_domain = ?', rateId, shopDomain);
+  if (!existing) {
+    return { success: false, error: 'Exchange rate not found' };
+  }
+
+  await dbRun('DELETE FROM exchange_rates WHERE id = ? AND shop_domain = ?', rateId, shopDomain);
+  return { success: true };
+};
+
+// Latest rate effective on a date, or null when the merchant has not entered one
+export const getEffectiveRate = async (shopDomain, baseCurrency, quoteCurrency, date = today()) => {
+  return dbGet(`
+    SELECT * FROM exchange_rates
+    WHERE shop_domain = ? AND base_currency = ? AND quote_currency = ? AND effective_date <= ?
+    ORDER BY effective_date DESC
+    LIMIT 1
+  `, shopDomain, baseCurrency, quoteCurrency, date);
+};
+
+// The shop's store currency
+export const getShopCurrency = async (session) => {
+  const client = createThrottledClient(session);
+  const response = await client.request(`
+    query getShopCurrency {
+      shop {
+        currencyCode
+      }
+    }
+  `);
+  return response.data.shop.currencyCode;
+};
+
+// Resolve the conversion from the supplier's currency to the shop's currency
+// Resolves to { from, to, rate, effectiveDate }; rate is 1 when both currencies match.
+// Throws when the currencies differ and no rate is effective yet, so prices are never
+// written in the wrong currency.
+export const resolveConversion = async (session, supplierCurrency = 'USD') => {
+  const shopCurrency = await getShopCurrency(session);
+  if (shopCurrency === supplierCurrency) {
+    return { from: supplierCurrency, to: shopCurrency, rate: 1, effectiveDate: null };
+  }
+
+  const effectiveRate = await getEffectiveRate(session.shop, supplierCurrency, shopCurrency);
+  if (!effectiveRate) {
+    throw new Error(`No ${supplierCurrency} to ${shopCurrency} exchange rate is effective yet. Add one under exchange rates before syncing.`);
+  }
+
+  return {
+    from: supplierCurrency,
+    to: shopCurrency,
+    rate: effectiveRate.rate,
+    effectiveDate: effectiveRate.effective_date
+  };
+};
+
+const convertAmount = (amount, rate) => {
+  const value = Number(amount);
+  return Number.isFinite(value) ? (Math.round(value * rate * 100) / 100).toFixed(2) : amount;
+};
+
+// Compare-at prices are optional; a missing one stays missing
+const convertOptionalAmount = (amount, rate) => {
+  return amount === null || amount === undefined || amount === '' ? null : convertAmount(amount, rate);
+};
+
+// Convert a normalized product's prices with a resolved conversion
+export const convertProductPrices = (conversion, product) => {
+  if (conversion.rate === 1) return product;
+
+  return {
+    ...product,
+    price: convertAmount(product.price, conversion.rate),
+    compare_at_price: convertOptionalAmount(product.compare_at_price, conversion.rate),
+    variants: (product.variants || []).map(variant => ({
+      ...variant,
+      price: convertAmount(variant.price, conversion.rate),
+      compare_at_price: convertOptionalAmount(variant.compare_at_price, conversion.rate)
+    }))
+  };
+};
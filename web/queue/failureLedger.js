@@ -0,0 +1,136 @@
+import { db, dbRun, dbAll } from './db.js';
+
+// Per-product failure ledger
+// Every product a job fails to sync is recorded with the normalized product, so it can be
+// inspected and reprocessed later by a retry job without walking the supplier feed again.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_job_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      shop_domain TEXT NOT NULL,
+      supplier_product_id TEXT NOT NULL,
+      title TEXT,
+      source_offset TEXT,
+      error_message TEXT,
+      user_errors TEXT,
+      attempts INTEGER DEFAULT 1,
+      product_data TEXT,
+      retried_in_job_id TEXT,
+      resolved_at DATETIME,
+      failed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_sync_job_failures_job ON sync_job_failures (job_id)');
+});
+
+// Shopify userErrors attached to an error or any error it wraps
+const findUserErrors = (error) => {
+  let current = error;
+  while (current) {
+    if (current.userErrors) {
+      return current.userErrors;
+    }
+    current = current.cause;
+  }
+  return null;
+};
+
+// Record a failed product for a job
+export const recordFailure = async (jobId, shopDomain, product, sourceOffset, error, attempts = 1) => {
+  try {
+    const userErrors = findUserErrors(error);
+    await dbRun(`
+      INSERT INTO sync_job_failures (job_id, shop_domain, supplier_product_id, title, source_offset, error_message, user_errors, attempts, product_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      jobId,
+      shopDomain,
+      product.id,
+      product.title || null,
+      sourceOffset === null || sourceOffset === undefined ? null : String(sourceOffset),
+      error.message,
+      userErrors ? JSON.stringify(userErrors) : null,
+      attempts,
+      JSON.stringify(product)
+    );
+  } catch (dbError) {
+    console.error('Error recording sync failure:', dbError);
+  }
+};
+
+// All failures of a job, newest first, without the stored product payload
+export const getJobFailures = async (jobId) => {
+  const rows = await dbAll(`
+    SELECT id, job_id, supplier_product_id, title, source_offset, error_message, user_errors,
+           attempts, retried_in_job_id, resolved_at, failed_at
+    FROM sync_job_failures
+    WHERE job_id = ?
+    ORDER BY failed_at DESC, id DESC
+  `, jobId);
+
+  return rows.map(row => ({
+    ...row,
+    user_errors: row.user_errors ? JSON.parse(row.user_errors) : []
+  }));
+};
+
+// Failures of a job that are not resolved and not held by a retry job
+// A retry job holds its failures while it is queued, running, paused or completed. Once it is
+// cancelled or failed (or gone), the failures it never got to, the ones it recorded no failure
+// of its own for, can be retried again.
+export const getRetryableFailures = async (jobId) => {
+  const rows = await dbAll(`
+    SELECT failure.* FROM sync_job_failures failure
+    LEFT JOIN sync_jobs retry_job ON retry_job.id = failure.retried_in_job_id
+    WHERE failure.job_id = ? AND failure.resolved_at IS NULL
+      AND (
+        failure.retried_in_job_id IS NULL
+        OR (
+          (retry_job.id IS NULL OR retry_job.status IN ('cancelled', 'failed'))
+          AND NOT EXISTS (
+            SELECT 1 FROM sync_job_failures retried
+            WHERE retried.job_id = failure.retried_in_job_id AND retried.supplier_product_id = failure.supplier_product_id
+          )
+        )
+      )
+    ORDER BY failure.id ASC
+  `, jobId);
+
+  return rows.map(row => ({
+    ...row,
+    product: JSON.parse(row.product_data)
+  }));
+};
+
+// Failures handed to a retry job, in the order the retry processes them
+export const getFailuresForRetryJob = async (retryJobId) => {
+  const rows = await dbAll(`
+    SELECT * FROM sync_job_failures
+    WHERE retried_in_job_id = ?
+    ORDER BY id ASC
+  `, retryJobId);
+
+  return rows.map(row => ({
+    ...row,
+    product: JSON.parse(row.product_data)
+  }));
+};
+
+// Hand failures to a retry job so they are not picked up twice
+// Failures released by a cancelled or failed retry job move to the new one.
+export const assignFailuresToRetryJob = async (failureIds, retryJobId) => {
+  if (failureIds.length === 0) return;
+
+  const placeholders = failureIds.map(() => '?').join(', ');
+  await dbRun(
+    `UPDATE sync_job_failures SET retried_in_job_id = ? WHERE id IN (${placeholders})`,
+    retryJobId, ...failureIds
+  );
+};
+
+// Mark a failure as fixed by a later retry
+export const markFailureResolved = async (failureId) => {
+  await dbRun('UPDATE sync_job_failures SET resolved_at = CURRENT_TIMESTAMP WHERE id = ?', failureId);
+};
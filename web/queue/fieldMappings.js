@@ -0,0 +1,209 @@
+import { db, dbRun, dbGet } from './db.js';
+
+// Per-shop field mapping from supplier attributes to Shopify product fields
+// Supplier adapters produce a default normalized product; a shop's mapping overrides single
+// fields with a value read from the raw supplier product (kept as `supplier_data` by
+// fetchSupplierProducts), then passed through simple transforms.
+//
+// Mapping shape (targets left out keep the adapter's value):
+//   {
+//     [target]: {
+//       source: 'brand' | 'current_variants.CPU' | ...,  // dot path into the supplier product
+//       template: '{brand} {title}' | null,              // used instead of source when set
+//       transforms: [{ type: 'prefix' | 'suffix', value } | { type: 'truncate', length } | { type: 'lowercase' }]
+//     }
+//   }
+// Transforms run in order. For tags they run on each tag; a string source is split on commas.
+// A mapping that resolves to an empty value keeps the adapter's value. sku and barcode set the
+// default variant of single-variant products; multi-variant products keep the variant SKUs.
+// countryOfOrigin and hsCode are customs data for every variant's inventory item. compareAtPrice
+// reads the supplier's list price (MSRP) for the default variant, in the supplier's currency.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS field_mappings (
+      shop_domain TEXT PRIMARY KEY,
+      mapping TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+// Mapping targets and the normalized product field each one sets
+const TARGET_FIELDS = {
+  title: 'title',
+  vendor: 'vendor',
+  productType: 'category',
+  tags: 'tags',
+  sku: 'sku',
+  barcode: 'barcode',
+  description: 'description',
+  countryOfOrigin: 'country_of_origin',
+  hsCode: 'hs_code',
+  compareAtPrice: 'compare_at_price'
+};
+
+export const FIELD_MAPPING_TARGETS = Object.keys(TARGET_FIELDS);
+export const TRANSFORM_TYPES = ['prefix', 'suffix', 'truncate', 'lowercase'];
+
+const PATH_PATTERN = /^[^.{}]+(\.[^.{}]+)*$/;
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+
+const validateTransform = (transform, label) => {
+  if (!transform || !TRANSFORM_TYPES.includes(transform.type)) {
+    return `${label}: transform type must be one of: ${TRANSFORM_TYPES.join(', ')}`;
+  }
+  if ((transform.type === 'prefix' || transform.type === 'suffix') && typeof transform.value !== 'string') {
+    return `${label}: ${transform.type} value must be a string`;
+  }
+  if (transform.type === 'truncate' && !(Number.isInteger(transform.length) && transform.length > 0)) {
+    return `${label}: truncate length must be a positive integer`;
+  }
+  return null;
+};
+
+// Validate a mapping object, returns an error message or null
+export const validateFieldMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Field mapping must be an object';
+  }
+
+  for (const [target, rule] of Object.entries(mapping)) {
+    if (!FIELD_MAPPING_TARGETS.includes(target)) {
+      return `Unknown field: ${target}. Fields are: ${FIELD_MAPPING_TARGETS.join(', ')}`;
+    }
+    if (!rule || typeof rule !== 'object') {
+      return `${target}: mapping must be an object`;
+    }
+
+    if (rule.template) {
+      if (typeof rule.template !== 'string') {
+        return `${target}: template must be a string`;
+      }
+      const invalid = [...rule.template.matchAll(PLACEHOLDER_PATTERN)].find(([, path]) => !PATH_PATTERN.test(path.trim()));
+      if (invalid) {
+        return `${target}: invalid template placeholder ${invalid[0]}`;
+      }
+    } else if (!rule.source || !PATH_PATTERN.test(rule.source)) {
+      return `${target}: a source field (e.g. brand or current_variants.CPU) or a template is required`;
+    }
+
+    if (rule.transforms !== undefined && !Array.isArray(rule.transforms)) {
+      return `${target}: transforms must be an array`;
+    }
+    for (const [index, transform] of (rule.transforms || []).entries()) {
+      const transformError = validateTransform(transform, `${target} transform ${index + 1}`);
+      if (transformError) return transformError;
+    }
+  }
+
+  return null;
+};
+
+// Keep only the keys a rule uses, so stored mappings have one shape
+const normalizeMapping = (mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([target, rule]) => [target, {
+    source: rule.template ? null : rule.source,
+    template: rule.template || null,
+    transforms: rule.transforms || []
+  }])
+);
+
+export const getFieldMapping = async (shopDomain) => {
+  const row = await dbGet('SELECT mapping FROM field_mappings WHERE shop_domain = ?', shopDomain);
+  return row ? JSON.parse(row.mapping) : {};
+};
+
+export const saveFieldMapping = async (shopDomain, mapping) => {
+  const error = validateFieldMapping(mapping);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const normalized = normalizeMapping(mapping);
+  await dbRun(`
+    INSERT INTO field_mappings (shop_domain, mapping, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET mapping = excluded.mapping, updated_at = CURRENT_TIMESTAMP
+  `, shopDomain, JSON.stringify(normalized));
+
+  return { success: true, mapping: normalized };
+};
+
+// Read a dot path (e.g. current_variants.CPU or features.0) from a supplier product
+const readPath = (data, path) => {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const stringify = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const applyTransform = (value, transform) => {
+  switch (transform.type) {
+    case 'prefix':
+      return `${transform.value}${value}`;
+    case 'suffix':
+      return `${value}${transform.value}`;
+    case 'truncate':
+      return value.slice(0, transform.length).trim();
+    case 'lowercase':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+};
+
+const transformValue = (value, transforms = []) => transforms.reduce(applyTransform, value);
+
+// Resolve one rule against the raw supplier product, or undefined when it has no value
+const resolveRule = (target, rule, supplierData) => {
+  const value = rule.template
+    ? rule.template.replace(PLACEHOLDER_PATTERN, (_placeholder, path) => {
+      const placeholderValue = readPath(supplierData, path.trim());
+      return isEmpty(placeholderValue) ? '' : stringify(placeholderValue);
+    }).trim()
+    : readPath(supplierData, rule.source);
+
+  if (isEmpty(value)) return undefined;
+
+  if (target === 'tags') {
+    const tags = Array.isArray(value) ? value.map(String) : String(value).split(',');
+    const transformed = tags.map(tag => transformValue(tag.trim(), rule.transforms)).filter(Boolean);
+    return transformed.length > 0 ? transformed : undefined;
+  }
+
+  const transformed = transformValue(stringify(value), rule.transforms);
+  return isEmpty(transformed) ? undefined : transformed;
+};
+
+// Apply a shop's mapping to a normalized product
+// The raw supplier product is dropped afterwards so it is not stored with failures or previews.
+export const applyFieldMapping = (mapping, product) => {
+  const { supplier_data: supplierData, ...mapped } = product;
+  if (!supplierData) return mapped;
+
+  for (const [target, rule] of Object.entries(mapping)) {
+    const value = resolveRule(target, rule, supplierData);
+    if (value !== undefined) {
+      mapped[TARGET_FIELDS[target]] = value;
+    }
+  }
+
+  return mapped;
+};
+
+// The mapped fields of a normalized product, keyed by mapping target
+export const getMappedFields = (product) => Object.fromEntries(
+  FIELD_MAPPING_TARGETS.map(target => [target, product[TARGET_FIELDS[target]] ?? null])
+);
+
+// Dot paths of a raw supplier product that can be used as sources, for the mapping editor
+// Nested objects are listed one level deep (e.g. current_variants.CPU).
+export const listSourceFields = (supplierData = {}) => {
+  return Object.entries(supplierData).flatMap(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value).map(nestedKey => `${key}.${nestedKey}`);
+    }
+    return [key];
+  });
+};
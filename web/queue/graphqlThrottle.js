@@ -0,0 +1,150 @@
+import shopify from '../shopify.js';
+import { MAX_RETRIES, isRetryableError, isRateLimitedError, getRetryDelayMs } from './retryPolicy.js';
+
+// Cost-aware throttling for Admin GraphQL requests made by sync jobs
+// Every response reports the shop's bucket in extensions.cost.throttleStatus. We keep the
+// latest reading per shop and, before each request, wait only as long as the restore rate
+// needs to refill enough points for that query. Plus stores (bigger bucket, faster restore)
+// therefore run at full speed while small stores are slowed down before they get throttled.
+
+// Cost assumed for a query we have not seen a response for yet
+const DEFAULT_QUERY_COST = 10;
+const MAX_THROTTLE_RETRIES = 5;
+
+// shop_domain -> { maximumAvailable, currentlyAvailable, restoreRate, updatedAt }
+const shopBudgets = new Map();
+
+// query text -> last requestedQueryCost
+const queryCosts = new Map();
+
+// shop_domain -> number of retried requests since the server started
+const shopRetries = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Points available now, assuming the bucket kept restoring since the last reading
+const estimateAvailable = (budget) => {
+  const elapsedSeconds = (Date.now() - budget.updatedAt) / 1000;
+  return Math.min(budget.maximumAvailable, budget.currentlyAvailable + elapsedSeconds * budget.restoreRate);
+};
+
+// How long to wait until `cost` points are available for the shop
+const getWaitMs = (shopDomain, cost) => {
+  const budget = shopBudgets.get(shopDomain);
+  if (!budget || !budget.restoreRate) return 0;
+
+  const needed = Math.min(cost, budget.maximumAvailable);
+  const available = estimateAvailable(budget);
+  if (available >= needed) return 0;
+
+  return Math.ceil(((needed - available) / budget.restoreRate) * 1000);
+};
+
+// Remember the shop's bucket and the query's cost from a response's cost extension
+const recordCost = (shopDomain, query, cost) => {
+  if (!cost?.throttleStatus) return;
+
+  const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+  shopBudgets.set(shopDomain, { maximumAvailable, currentlyAvailable, restoreRate, updatedAt: Date.now() });
+
+  if (cost.requestedQueryCost) {
+    queryCosts.set(query, cost.requestedQueryCost);
+  }
+};
+
+// The cost extension attached to a failed request, if the client exposed one
+const getErrorCost = (error) => {
+  return error.body?.extensions?.cost || error.response?.extensions?.cost || null;
+};
+
+// Whether the Admin API rejected the request because the shop's bucket was empty
+const isThrottledError = (error) => {
+  const graphQLErrors = error.body?.errors?.graphQLErrors || error.response?.errors?.graphQLErrors || [];
+  if (graphQLErrors.some(graphQLError => graphQLError.extensions?.code === 'THROTTLED')) {
+    return true;
+  }
+  return /throttled/i.test(error.message || '');
+};
+
+// Mutations are not safe to send twice: after a network error or a 5xx response the first
+// request may have been applied, and retrying productCreate or collectionCreate would create a
+// duplicate. They are only retried when Shopify reports it did not run them.
+const isMutation = (query) => /^\s*mutation\b/.test(query);
+
+const recordRetry = (shopDomain) => {
+  shopRetries.set(shopDomain, (shopRetries.get(shopDomain) || 0) + 1);
+};
+
+// Create a GraphQL client for the session whose requests wait for the shop's budget,
+// retry automatically when Shopify answers THROTTLED or 429, and retry other transient
+// failures (network errors and 5xx responses) of queries with the shared retry policy.
+// Mutations failing that way are thrown to the caller.
+export const createThrottledClient = (session) => {
+  const client = new shopify.api.clients.Graphql({ session });
+  const shopDomain = session.shop;
+
+  return {
+    request: async (query, options = {}) => {
+      let transientAttempts = 0;
+      for (let attempt = 0; ; attempt++) {
+        const cost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+        const waitMs = getWaitMs(shopDomain, cost);
+        if (waitMs > 0) {
+          console.log(`[DEBUG] Throttle ${shopDomain}: waiting ${waitMs}ms for ${cost} query points`);
+          await sleep(waitMs);
+        }
+
+        try {
+          const response = await client.request(query, options);
+          recordCost(shopDomain, query, response.extensions?.cost);
+          return response;
+        } catch (error) {
+          recordCost(shopDomain, query, getErrorCost(error));
+
+          if (isThrottledError(error)) {
+            if (attempt >= MAX_THROTTLE_RETRIES) {
+              throw error;
+            }
+
+            // Wait for the bucket to refill, backing off further on repeated throttling
+            const backoffMs = Math.max(getWaitMs(shopDomain, cost), 1000 * 2 ** attempt);
+            console.warn(`[WARNING] Throttle ${shopDomain}: request throttled, retrying in ${backoffMs}ms (attempt ${attempt + 1}/${MAX_THROTTLE_RETRIES})`);
+            recordRetry(shopDomain);
+            await sleep(backoffMs);
+            continue;
+          }
+
+          const retryable = isMutation(query) ? isRateLimitedError(error) : isRetryableError(error);
+          if (!retryable || transientAttempts >= MAX_RETRIES) {
+            throw error;
+          }
+
+          const delayMs = getRetryDelayMs(error, transientAttempts);
+          if (delayMs === null) {
+            throw error;
+          }
+          transientAttempts++;
+          console.warn(`[WARNING] Admin API ${shopDomain}: ${error.message}, retrying in ${delayMs}ms (attempt ${transientAttempts}/${MAX_RETRIES})`);
+          recordRetry(shopDomain);
+          await sleep(delayMs);
+        }
+      }
+    }
+  };
+};
+
+// Number of Admin API requests retried for a shop since the server started
+// Jobs subtract the count at their start to report their own retries.
+export const getApiRetryCount = (shopDomain) => shopRetries.get(shopDomain) || 0;
+
+// Latest known GraphQL budget of a shop (for health checks)
+export const getThrottleStatus = (shopDomain) => {
+  const budget = shopBudgets.get(shopDomain);
+  if (!budget) return null;
+
+  return {
+    maximumAvailable: budget.maximumAvailable,
+    currentlyAvailable: Math.floor(estimateAvailable(budget)),
+    restoreRate: budget.restoreRate
+  };
+};
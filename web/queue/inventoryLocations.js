@@ -0,0 +1,130 @@
+import { db, dbRun, dbGet } from './db.js';
+import { createThrottledClient } from './graphqlThrottle.js';
+
+// Per-shop Shopify locations that receive supplier stock
+// Stock goes to the default location, except stock of supplier warehouses mapped to a location
+// of their own. Suppliers that do not report warehouses stock the default location only. Shops
+// that never chose locations stock their first location.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS inventory_location_settings (
+      shop_domain TEXT PRIMARY KEY,
+      default_location_id TEXT NOT NULL,
+      warehouse_locations TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+// The shop's active locations as [{ id, name }]
+export const listLocations = async (session) => {
+  const client = createThrottledClient(session);
+  const locations = [];
+  let cursor = null;
+
+  do {
+    const response = await client.request(`
+      query listLocations($cursor: String) {
+        locations(first: 50, after: $cursor) {
+          nodes {
+            id
+            name
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { variables: { cursor } });
+
+    const { nodes, pageInfo } = response.data.locations;
+    locations.push(...nodes);
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return locations;
+};
+
+// Validate settings against the shop's locations, returns an error message or null
+export const validateInventoryLocations = (settings, locations) => {
+  if (!settings || typeof settings !== 'object') {
+    return 'Inventory locations must be an object';
+  }
+
+  const isLocation = (id) => locations.some(location => location.id === id);
+  if (!isLocation(settings.defaultLocationId)) {
+    return 'Default location must be one of the shop\'s locations';
+  }
+
+  const { warehouseLocations } = settings;
+  if (!warehouseLocations || typeof warehouseLocations !== 'object' || Array.isArray(warehouseLocations)) {
+    return 'Warehouse locations must map supplier warehouse ids to location ids';
+  }
+  for (const [warehouseId, locationId] of Object.entries(warehouseLocations)) {
+    if (!warehouseId.trim()) {
+      return 'Supplier warehouse ids cannot be empty';
+    }
+    if (!isLocation(locationId)) {
+      return `Warehouse ${warehouseId} must map to one of the shop's locations`;
+    }
+  }
+  return null;
+};
+
+// Saved settings of the shop, or null when it never chose locations
+export const getInventoryLocations = async (shopDomain) => {
+  const row = await dbGet('SELECT default_location_id, warehouse_locations FROM inventory_location_settings WHERE shop_domain = ?', shopDomain);
+  return row ? { defaultLocationId: row.default_location_id, warehouseLocations: JSON.parse(row.warehouse_locations) } : null;
+};
+
+export const saveInventoryLocations = async (session, input) => {
+  const settings = { warehouseLocations: {}, ...input };
+  const error = validateInventoryLocations(settings, await listLocations(session));
+  if (error) {
+    return { success: false, error };
+  }
+
+  await dbRun(`
+    INSERT INTO inventory_location_settings (shop_domain, default_location_id, warehouse_locations, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET
+      default_location_id = excluded.default_location_id,
+      warehouse_locations = excluded.warehouse_locations,
+      updated_at = CURRENT_TIMESTAMP
+  `, session.shop, settings.defaultLocationId, JSON.stringify(settings.warehouseLocations));
+
+  return { success: true, settings: { defaultLocationId: settings.defaultLocationId, warehouseLocations: settings.warehouseLocations } };
+};
+
+// Id of the shop's first location
+const getPrimaryLocationId = async (session) => {
+  const client = createThrottledClient(session);
+  const result = await client.request(`
+    query primaryLocation {
+      locations(first: 1) {
+        nodes {
+          id
+        }
+      }
+    }
+  `);
+
+  return result.data.locations.nodes[0]?.id || null;
+};
+
+// Locations a sync stocks, falling back to the shop's first location
+// Resolves to null when the shop has no location at all.
+export const resolveInventoryLocations = async (session) => {
+  const saved = await getInventoryLocations(session.shop);
+  if (saved) {
+    return saved;
+  }
+
+  const defaultLocationId = await getPrimaryLocationId(session);
+  if (!defaultLocationId) {
+    console.warn(`[WARNING] No location found for ${session.shop}, inventory will not be set`);
+    return null;
+  }
+  return { defaultLocationId, warehouseLocations: {} };
+};
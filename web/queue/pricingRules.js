@@ -0,0 +1,230 @@
+import { db, dbRun, dbGet } from './db.js';
+
+// Per-shop pricing rules
+// The supplier price is the merchant's cost. The selling price is the cost plus a markup, taken
+// from the first matching source in this order:
+//   1. a category or vendor override
+//   2. the tier whose cost band contains the cost
+//   3. the default markup
+// The price is then raised to honor the minimum margin and finally charm-rounded up (e.g. to .99).
+// The compare-at price is the supplier's list price (MSRP) when the feed has one, otherwise the
+// price times compareAtMultiplier. It is dropped when it is not above the selling price.
+//
+// Rules shape:
+//   {
+//     defaultMarkup: { type: 'percent' | 'fixed', value },
+//     tiers: [{ minCost, maxCost, markup }],            // maxCost null = no upper bound
+//     overrides: [{ field: 'category' | 'vendor', value, markup }],
+//     minMarginPercent: number | null,
+//     charmEnding: number | null,                        // e.g. 0.99
+//     compareAtMultiplier: number | null                 // e.g. 1.3
+//   }
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS pricing_rules (
+      shop_domain TEXT PRIMARY KEY,
+      rules TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+export const MARKUP_TYPES = ['percent', 'fixed'];
+export const OVERRIDE_FIELDS = ['category', 'vendor'];
+
+// Rules of shops that never configured pricing: sell at cost, like syncs did before rules existed
+export const DEFAULT_PRICING_RULES = {
+  defaultMarkup: { type: 'percent', value: 0 },
+  tiers: [],
+  overrides: [],
+  minMarginPercent: null,
+  charmEnding: null,
+  compareAtMultiplier: null
+};
+
+const validateMarkup = (markup, label) => {
+  if (!markup || !MARKUP_TYPES.includes(markup.type)) {
+    return `${label}: markup type must be one of: ${MARKUP_TYPES.join(', ')}`;
+  }
+  if (typeof markup.value !== 'number' || !Number.isFinite(markup.value) || markup.value < 0) {
+    return `${label}: markup value must be a non-negative number`;
+  }
+  return null;
+};
+
+// Validate a rules object, returns an error message or null
+export const validatePricingRules = (rules) => {
+  if (!rules || typeof rules !== 'object') {
+    return 'Pricing rules must be an object';
+  }
+
+  const defaultError = validateMarkup(rules.defaultMarkup, 'Default markup');
+  if (defaultError) return defaultError;
+
+  if (!Array.isArray(rules.tiers)) return 'Tiers must be an array';
+  for (const [index, tier] of rules.tiers.entries()) {
+    const label = `Tier ${index + 1}`;
+    if (typeof tier.minCost !== 'number' || tier.minCost < 0) {
+      return `${label}: minCost must be a non-negative number`;
+    }
+    if (tier.maxCost !== null && tier.maxCost !== undefined && !(typeof tier.maxCost === 'number' && tier.maxCost > tier.minCost)) {
+      return `${label}: maxCost must be greater than minCost`;
+    }
+    const markupError = validateMarkup(tier.markup, label);
+    if (markupError) return markupError;
+  }
+
+  if (!Array.isArray(rules.overrides)) return 'Overrides must be an array';
+  for (const [index, override] of rules.overrides.entries()) {
+    const label = `Override ${index + 1}`;
+    if (!OVERRIDE_FIELDS.includes(override.field)) {
+      return `${label}: field must be one of: ${OVERRIDE_FIELDS.join(', ')}`;
+    }
+    if (!override.value || typeof override.value !== 'string') {
+      return `${label}: value is required`;
+    }
+    const markupError = validateMarkup(override.markup, label);
+    if (markupError) return markupError;
+  }
+
+  if (rules.minMarginPercent !== null && rules.minMarginPercent !== undefined &&
+      !(typeof rules.minMarginPercent === 'number' && rules.minMarginPercent >= 0 && rules.minMarginPercent < 100)) {
+    return 'Minimum margin must be a percentage between 0 and 100';
+  }
+
+  if (rules.charmEnding !== null && rules.charmEnding !== undefined &&
+      !(typeof rules.charmEnding === 'number' && rules.charmEnding >= 0 && rules.charmEnding < 1)) {
+    return 'Charm ending must be between 0 and 1 (e.g. 0.99)';
+  }
+
+  if (rules.compareAtMultiplier !== null && rules.compareAtMultiplier !== undefined &&
+      !(typeof rules.compareAtMultiplier === 'number' && rules.compareAtMultiplier > 1 && rules.compareAtMultiplier <= 10)) {
+    return 'Compare-at multiplier must be above 1 and at most 10 (e.g. 1.3)';
+  }
+
+  return null;
+};
+
+// Fill missing optional fields so evaluation never has to check for them
+const normalizeRules = (rules) => ({
+  ...DEFAULT_PRICING_RULES,
+  ...rules,
+  tiers: rules.tiers || [],
+  overrides: rules.overrides || []
+});
+
+export const getPricingRules = async (shopDomain) => {
+  const row = await dbGet('SELECT rules FROM pricing_rules WHERE shop_domain = ?', shopDomain);
+  return row ? normalizeRules(JSON.parse(row.rules)) : DEFAULT_PRICING_RULES;
+};
+
+export const savePricingRules = async (shopDomain, rules) => {
+  const error = validatePricingRules(rules);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const normalized = normalizeRules(rules);
+  await dbRun(`
+    INSERT INTO pricing_rules (shop_domain, rules, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET rules = excluded.rules, updated_at = CURRENT_TIMESTAMP
+  `, shopDomain, JSON.stringify(normalized));
+
+  return { success: true, rules: normalized };
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const applyMarkup = (cost, markup) => {
+  return markup.type === 'percent' ? cost * (1 + markup.value / 100) : cost + markup.value;
+};
+
+// The markup for a product's cost, and a description of the rule it came from
+const selectMarkup = (rules, cost, product) => {
+  const override = rules.overrides.find(candidate =>
+    String(product[candidate.field] || '').toLowerCase() === candidate.value.toLowerCase()
+  );
+  if (override) {
+    return { markup: override.markup, rule: `${override.field} override "${override.value}"` };
+  }
+
+  const tier = rules.tiers.find(candidate =>
+    cost >= candidate.minCost && (candidate.maxCost === null || candidate.maxCost === undefined || cost < candidate.maxCost)
+  );
+  if (tier) {
+    return { markup: tier.markup, rule: `cost tier ${tier.minCost}-${tier.maxCost ?? '∞'}` };
+  }
+
+  return { markup: rules.defaultMarkup, rule: 'default markup' };
+};
+
+// Round a price up to the next amount ending in `ending` (e.g. 12.30 -> 12.99, 13.00 -> 13.99)
+const charmRound = (price, ending) => {
+  const candidate = Math.floor(price) + ending;
+  return roundCents(candidate >= price ? candidate : candidate + 1);
+};
+
+// Compute the selling price of a cost for a product's category and vendor
+// Returns { cost, price, compareAtPrice, margin, marginPercent, rule }; compareAtPrice comes from
+// the multiplier and is null without one.
+export const computePrice = (rules, cost, product = {}) => {
+  const selected = selectMarkup(rules, cost, product);
+  let { rule } = selected;
+  let price = applyMarkup(cost, selected.markup);
+
+  const minimumPrice = rules.minMarginPercent ? cost / (1 - rules.minMarginPercent / 100) : 0;
+  if (price < minimumPrice) {
+    price = minimumPrice;
+    rule = `${rule}, raised to the minimum margin`;
+  }
+
+  price = roundCents(price);
+  if (rules.charmEnding !== null && rules.charmEnding !== undefined) {
+    price = charmRound(price, rules.charmEnding);
+  }
+
+  const margin = roundCents(price - cost);
+  return {
+    cost: roundCents(cost),
+    price,
+    compareAtPrice: rules.compareAtMultiplier ? roundCents(price * rules.compareAtMultiplier) : null,
+    margin,
+    marginPercent: price > 0 ? Math.round((margin / price) * 10000) / 100 : 0,
+    rule
+  };
+};
+
+// Price a normalized product and its variants
+// The supplier price is kept as `cost` so later steps (and re-pricing) can use it.
+export const applyPricingRules = (rules, product) => {
+  const priceOf = (amount, supplierCompareAt) => {
+    const cost = Number(amount);
+    if (!Number.isFinite(cost)) return { cost: amount, price: amount, compareAt: null };
+    const { price, compareAtPrice } = computePrice(rules, cost, product);
+
+    // The supplier's list price wins over the multiplier
+    const listPrice = supplierCompareAt === null || supplierCompareAt === undefined || supplierCompareAt === ''
+      ? NaN
+      : Number(supplierCompareAt);
+    const compareAt = Number.isFinite(listPrice) ? roundCents(listPrice) : compareAtPrice;
+    return {
+      cost: cost.toFixed(2),
+      price: price.toFixed(2),
+      // A compare-at price at or below the price would show a sale that is not one
+      compareAt: compareAt !== null && compareAt > price ? compareAt.toFixed(2) : null
+    };
+  };
+
+  const productPrice = priceOf(product.price, product.compare_at_price);
+  return {
+    ...product,
+    cost: productPrice.cost,
+    price: productPrice.price,
+    compare_at_price: productPrice.compareAt,
+    variants: (product.variants || []).map(variant => {
+      const variantPrice = priceOf(variant.price, variant.compare_at_price);
+      return { ...variant, cost: variantPrice.cost, price: variantPrice.price, compare_at_price: variantPrice.compareAt };
+    })
+  };
+};
@@ -0,0 +1,161 @@
+import { db, dbRun, dbGet, dbAll, addColumnIfMissing } from './db.js';
+
+// Supplier product -> Shopify product mapping
+// Lets re-runs and resumed jobs update products they created before instead of duplicating them.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_mappings (
+      shop_domain TEXT NOT NULL,
+      supplier TEXT NOT NULL,
+      supplier_product_id TEXT NOT NULL,
+      shopify_product_id TEXT NOT NULL,
+      shopify_variant_id TEXT,
+      variant_ids TEXT,
+      media_sources TEXT,
+      content_hash TEXT,
+      last_seen_job_id TEXT,
+      missed_runs INTEGER DEFAULT 0,
+      delisted_at DATETIME,
+      publish_pending INTEGER DEFAULT 0,
+      status_before_delisting TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (shop_domain, supplier, supplier_product_id)
+    )
+  `);
+
+  addColumnIfMissing('product_mappings', 'variant_ids TEXT');
+  addColumnIfMissing('product_mappings', 'content_hash TEXT');
+  addColumnIfMissing('product_mappings', 'last_seen_job_id TEXT');
+  addColumnIfMissing('product_mappings', 'missed_runs INTEGER DEFAULT 0');
+  addColumnIfMissing('product_mappings', 'delisted_at DATETIME');
+  addColumnIfMissing('product_mappings', 'publish_pending INTEGER DEFAULT 0');
+  addColumnIfMissing('product_mappings', 'status_before_delisting TEXT');
+});
+
+// Get the Shopify mapping for a supplier product, or null if it was never synced
+export const getProductMapping = async (shopDomain, supplier, supplierProductId) => {
+  const row = await dbGet(
+    'SELECT * FROM product_mappings WHERE shop_domain = ? AND supplier = ? AND supplier_product_id = ?',
+    shopDomain, supplier, supplierProductId
+  );
+  if (!row) return null;
+
+  return {
+    ...row,
+    variant_ids: row.variant_ids ? JSON.parse(row.variant_ids) : {},
+    media_sources: row.media_sources ? JSON.parse(row.media_sources) : []
+  };
+};
+
+// Insert or update the Shopify mapping for a supplier product
+// content_hash is the hash of the product as last fully synced, used to skip unchanged products.
+// publish_pending marks a new product not published to the shop's sales channels yet; the next
+// full sync publishes it.
+// Saving a delisted product's mapping means it was synced (and reactivated) again.
+export const saveProductMapping = async (shopDomain, supplier, supplierProductId, mapping) => {
+  await dbRun(`
+    INSERT INTO product_mappings (shop_domain, supplier, supplier_product_id, shopify_product_id, shopify_variant_id, variant_ids, media_sources, content_hash, publish_pending)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (shop_domain, supplier, supplier_product_id) DO UPDATE SET
+      shopify_product_id = excluded.shopify_product_id,
+      shopify_variant_id = excluded.shopify_variant_id,
+      variant_ids = excluded.variant_ids,
+      media_sources = excluded.media_sources,
+      content_hash = excluded.content_hash,
+      publish_pending = excluded.publish_pending,
+      delisted_at = NULL,
+      status_before_delisting = NULL,
+      updated_at = CURRENT_TIMESTAMP
+  `,
+    shopDomain,
+    supplier,
+    supplierProductId,
+    mapping.shopify_product_id,
+    mapping.shopify_variant_id || null,
+    JSON.stringify(mapping.variant_ids || {}),
+    JSON.stringify(mapping.media_sources || []),
+    mapping.content_hash || null,
+    mapping.publish_pending ? 1 : 0
+  );
+};
+
+// Remove a mapping whose Shopify product no longer exists
+export const deleteProductMapping = async (shopDomain, supplier, supplierProductId) => {
+  await dbRun(
+    'DELETE FROM product_mappings WHERE shop_domain = ? AND supplier = ? AND supplier_product_id = ?',
+    shopDomain, supplier, supplierProductId
+  );
+};
+
+// Ids per UPDATE, to stay under SQLite's bound parameter limit
+const ID_BATCH_SIZE = 500;
+
+// Record that a full sync saw these supplier products in the feed, resetting their missed-run count
+export const markProductsSeen = async (shopDomain, supplier, supplierProductIds, jobId) => {
+  for (let start = 0; start < supplierProductIds.length; start += ID_BATCH_SIZE) {
+    const ids = supplierProductIds.slice(start, start + ID_BATCH_SIZE);
+    await dbRun(`
+      UPDATE product_mappings
+      SET last_seen_job_id = ?, missed_runs = 0
+      WHERE shop_domain = ? AND supplier = ? AND supplier_product_id IN (${ids.map(() => '?').join(', ')})
+    `, jobId, shopDomain, supplier, ...ids);
+  }
+};
+
+// Record that products were published to the shop's sales channels
+export const markProductsPublished = async (shopDomain, shopifyProductIds) => {
+  for (let start = 0; start < shopifyProductIds.length; start += ID_BATCH_SIZE) {
+    const ids = shopifyProductIds.slice(start, start + ID_BATCH_SIZE);
+    await dbRun(`
+      UPDATE product_mappings
+      SET publish_pending = 0
+      WHERE shop_domain = ? AND shopify_product_id IN (${ids.map(() => '?').join(', ')})
+    `, shopDomain, ...ids);
+  }
+};
+
+// Forget the content hash of Shopify products a sync only partly wrote
+// The next sync then writes them again instead of skipping them as unchanged.
+export const clearContentHashes = async (shopDomain, shopifyProductIds) => {
+  for (let start = 0; start < shopifyProductIds.length; start += ID_BATCH_SIZE) {
+    const ids = shopifyProductIds.slice(start, start + ID_BATCH_SIZE);
+    await dbRun(`
+      UPDATE product_mappings
+      SET content_hash = NULL
+      WHERE shop_domain = ? AND shopify_product_id IN (${ids.map(() => '?').join(', ')})
+    `, shopDomain, ...ids);
+  }
+};
+
+// Count a missed run for every listed mapping a completed full sync did not see
+// Resolves to the mappings that have now missed at least `graceRuns` consecutive runs.
+export const recordMissedRun = async (shopDomain, supplier, jobId, graceRuns) => {
+  const missedFilter = `
+    shop_domain = ? AND supplier = ? AND delisted_at IS NULL
+    AND (last_seen_job_id IS NULL OR last_seen_job_id != ?)
+  `;
+
+  await dbRun(`UPDATE product_mappings SET missed_runs = missed_runs + 1 WHERE ${missedFilter}`, shopDomain, supplier, jobId);
+
+  const rows = await dbAll(
+    `SELECT * FROM product_mappings WHERE ${missedFilter} AND missed_runs >= ?`,
+    shopDomain, supplier, jobId, graceRuns
+  );
+  return rows.map(row => ({
+    ...row,
+    variant_ids: row.variant_ids ? JSON.parse(row.variant_ids) : {}
+  }));
+};
+
+// Mark a mapping as delisted
+// The content hash is cleared so the product is updated, and reactivated, if it comes back.
+// statusBeforeDelisting is the product status delisting replaced, restored on reactivation; null
+// when delisting did not change the status.
+export const markProductDelisted = async (shopDomain, supplier, supplierProductId, statusBeforeDelisting = null) => {
+  await dbRun(`
+    UPDATE product_mappings
+    SET delisted_at = CURRENT_TIMESTAMP, status_before_delisting = ?, content_hash = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE shop_domain = ? AND supplier = ? AND supplier_product_id = ?
+  `, statusBeforeDelisting, shopDomain, supplier, supplierProductId);
+};
@@ -0,0 +1,100 @@
+import { createThrottledClient } from './graphqlThrottle.js';
+
+// Supplier provenance and specs written to product metafields
+// The `$app:` prefix makes the namespace app-owned: only this app can write it, while themes
+// and the storefront can read it. Definitions are created the first time a shop syncs, so the
+// fields show up typed in the admin and themes can use them.
+const PRODUCT_METAFIELD_NAMESPACE = '$app:supplier';
+
+const PRODUCT_METAFIELDS = [
+  { key: 'supplier_product_id', type: 'single_line_text_field', name: 'Supplier product ID', description: 'Id of the supplier item the product was imported from' },
+  { key: 'source_adapter', type: 'single_line_text_field', name: 'Supplier', description: 'Supplier adapter the product is synced from' },
+  { key: 'last_synced_at', type: 'date_time', name: 'Last synced', description: 'When a sync last wrote the product' },
+  { key: 'features', type: 'list.single_line_text_field', name: 'Features', description: 'Feature list from the supplier' },
+  { key: 'main_image_url', type: 'url', name: 'Supplier image', description: 'Main image URL in the supplier feed' }
+];
+
+// Shops whose definitions exist, so each process checks a shop once
+const definedShops = new Set();
+
+// Create the metafield definitions the shop is missing
+// Failures are logged: metafields are still written without a definition, just untyped in the admin.
+export const ensureProductMetafieldDefinitions = async (session) => {
+  if (definedShops.has(session.shop)) return;
+
+  const client = createThrottledClient(session);
+
+  try {
+    const existing = await client.request(`
+      query productMetafieldDefinitions($namespace: String!) {
+        metafieldDefinitions(first: 50, ownerType: PRODUCT, namespace: $namespace) {
+          nodes {
+            key
+          }
+        }
+      }
+    `, { variables: { namespace: PRODUCT_METAFIELD_NAMESPACE } });
+
+    const existingKeys = existing.data.metafieldDefinitions.nodes.map(node => node.key);
+    const missing = PRODUCT_METAFIELDS.filter(field => !existingKeys.includes(field.key));
+
+    for (const field of missing) {
+      console.log(`[DEBUG] Creating product metafield definition ${PRODUCT_METAFIELD_NAMESPACE}.${field.key} for ${session.shop}`);
+      const result = await client.request(`
+        mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+          metafieldDefinitionCreate(definition: $definition) {
+            createdDefinition {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `, {
+        variables: {
+          definition: {
+            ...field,
+            namespace: PRODUCT_METAFIELD_NAMESPACE,
+            ownerType: 'PRODUCT',
+            access: { storefront: 'PUBLIC_READ' }
+          }
+        }
+      });
+
+      const { userErrors } = result.data.metafieldDefinitionCreate;
+      if (userErrors.length > 0) {
+        throw new Error(`${field.key}: ${userErrors[0].message}`);
+      }
+    }
+
+    definedShops.add(session.shop);
+  } catch (error) {
+    console.warn(`[WARNING] Failed to create product metafield definitions for ${session.shop}: ${error.message}`);
+  }
+};
+
+// Shopify date_time values take no fractional seconds
+const formatDateTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// Build the MetafieldInput list for a product synced from the given supplier adapter
+// Values the supplier does not provide are left out rather than written empty.
+export const buildProductMetafields = (product, supplier, syncedAt = new Date()) => {
+  const values = {
+    supplier_product_id: String(product.id),
+    source_adapter: supplier,
+    last_synced_at: formatDateTime(syncedAt),
+    features: product.features?.length > 0 ? JSON.stringify(product.features.map(String)) : null,
+    main_image_url: product.main_image || null
+  };
+
+  return PRODUCT_METAFIELDS
+    .filter(field => values[field.key])
+    .map(field => ({
+      namespace: PRODUCT_METAFIELD_NAMESPACE,
+      key: field.key,
+      type: field.type,
+      value: values[field.key]
+    }));
+};
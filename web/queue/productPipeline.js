@@ -0,0 +1,28 @@
+import { getPricingRules, applyPricingRules } from './pricingRules.js';
+import { getFieldMapping, applyFieldMapping } from './fieldMappings.js';
+import { getCollectionRules, applyCollectionRules } from './collectionRules.js';
+import { convertProductPrices } from './exchangeRates.js';
+
+// Shop-specific steps applied to normalized supplier products before they are planned and synced:
+//   1. map supplier attributes to product fields with the shop's field mapping
+//   2. convert supplier prices to the shop's currency
+//   3. apply the shop's pricing rules
+//   4. match the shop's collection rules, setting `collections` to the matched titles
+// Settings are loaded once per job, so a running job is not affected by edits made mid-run.
+// Without a conversion (inventory-only syncs) prices are left as the supplier sent them.
+export const createProductPreparer = async (shopDomain, { conversion }) => {
+  const [fieldMapping, pricingRules, collectionRules] = await Promise.all([
+    getFieldMapping(shopDomain),
+    getPricingRules(shopDomain),
+    getCollectionRules(shopDomain)
+  ]);
+
+  if (!conversion) {
+    return (product) => applyFieldMapping(fieldMapping, product);
+  }
+
+  return (product) => applyCollectionRules(
+    collectionRules,
+    applyPricingRules(pricingRules, convertProductPrices(conversion, applyFieldMapping(fieldMapping, product)))
+  );
+};
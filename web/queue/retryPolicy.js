@@ -0,0 +1,106 @@
+// Retry policy for transient supplier and Admin API failures
+// Retryable errors (network failures, 429 and 5xx responses) are retried with full-jitter
+// exponential backoff; a Retry-After header from the server takes precedence over the
+// computed delay, up to MAX_DELAY_MS. Everything else (4xx, validation errors, userErrors) fails
+// immediately.
+
+export const MAX_RETRIES = Math.max(0, parseInt(process.env.SYNC_MAX_RETRIES || "4", 10) || 0);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP status of an error from fetch (status) or the Shopify API client (response.code)
+const getStatus = (error) => error.status ?? error.response?.code ?? null;
+
+// Walk an error and the errors it wraps
+const errorChain = function* (error) {
+  let current = error;
+  while (current) {
+    yield current;
+    current = current.cause;
+  }
+};
+
+// Whether an error (or any error it wraps) is worth retrying
+export const isRetryableError = (error) => {
+  for (const current of errorChain(error)) {
+    const status = getStatus(current);
+    if (status === 429 || (status >= 500 && status < 600)) {
+      return true;
+    }
+    if (NETWORK_ERROR_CODES.includes(current.code) || /fetch failed|socket hang up|network/i.test(current.message || '')) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Whether the server turned the request away for its rate limit (429), so it never ran
+export const isRateLimitedError = (error) => {
+  for (const current of errorChain(error)) {
+    if (getStatus(current) === 429) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Delay requested by the server through Retry-After, in milliseconds
+export const getRetryAfterMs = (error) => {
+  for (const current of errorChain(error)) {
+    const retryAfter = current.retryAfter ?? current.response?.retryAfter ?? current.response?.headers?.['Retry-After'];
+    if (retryAfter === undefined || retryAfter === null) continue;
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(Array.isArray(retryAfter) ? retryAfter[0] : retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return null;
+};
+
+// Full-jitter exponential backoff for the given (zero-based) attempt
+export const getBackoffMs = (attempt) => {
+  return Math.floor(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt));
+};
+
+// How long to wait before retrying after an error
+// Resolves to null when Retry-After asks for more than MAX_DELAY_MS: the attempt then fails
+// instead of holding a worker for as long as the server says.
+export const getRetryDelayMs = (error, attempt) => {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs === null) {
+    return getBackoffMs(attempt);
+  }
+  return retryAfterMs <= MAX_DELAY_MS ? retryAfterMs : null;
+};
+
+// Run fn, retrying retryable errors up to maxRetries times
+// onRetry(error, attempt, delayMs) is called before each retry, e.g. to count retries on a job.
+export const withRetry = async (fn, { label = 'Request', maxRetries = MAX_RETRIES, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelayMs(error, attempt);
+      if (delayMs === null) {
+        throw error;
+      }
+      console.warn(`[WARNING] ${label} failed (${error.message}), retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+      onRetry?.(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+};
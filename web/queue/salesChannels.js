@@ -0,0 +1,97 @@
+import { db, dbRun, dbGet } from './db.js';
+import { createThrottledClient } from './graphqlThrottle.js';
+
+// Per-shop sales channels that imported products are published to
+// Publications are discovered through the Admin API (read_publications). Shops that never
+// picked channels publish to their Online Store, like syncs did before channels were
+// configurable.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sales_channel_settings (
+      shop_domain TEXT PRIMARY KEY,
+      publication_ids TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+const ONLINE_STORE_NAME = 'Online Store';
+
+// The shop's publications as [{ id, name }]
+export const listPublications = async (session) => {
+  const client = createThrottledClient(session);
+  const publications = [];
+  let cursor = null;
+
+  do {
+    const response = await client.request(`
+      query listPublications($cursor: String) {
+        publications(first: 50, after: $cursor) {
+          nodes {
+            id
+            name
+            catalog {
+              title
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { variables: { cursor } });
+
+    const { nodes, pageInfo } = response.data.publications;
+    publications.push(...nodes.map(node => ({ id: node.id, name: node.catalog?.title || node.name })));
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return publications;
+};
+
+// Saved publication ids of the shop, or null when it never picked channels
+export const getSavedPublicationIds = async (shopDomain) => {
+  const row = await dbGet('SELECT publication_ids FROM sales_channel_settings WHERE shop_domain = ?', shopDomain);
+  return row ? JSON.parse(row.publication_ids) : null;
+};
+
+// Save the channels to publish to; every id must be one of the shop's publications
+// An empty list is allowed and leaves imported products unpublished.
+export const savePublicationIds = async (session, publicationIds) => {
+  if (!Array.isArray(publicationIds) || publicationIds.some(id => typeof id !== 'string')) {
+    return { success: false, error: 'publicationIds must be an array of publication ids' };
+  }
+
+  const publications = await listPublications(session);
+  const unknown = publicationIds.filter(id => !publications.some(publication => publication.id === id));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown publications: ${unknown.join(', ')}` };
+  }
+
+  const uniqueIds = [...new Set(publicationIds)];
+  await dbRun(`
+    INSERT INTO sales_channel_settings (shop_domain, publication_ids, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(shop_domain) DO UPDATE SET publication_ids = excluded.publication_ids, updated_at = CURRENT_TIMESTAMP
+  `, session.shop, JSON.stringify(uniqueIds));
+
+  return { success: true, publicationIds: uniqueIds };
+};
+
+// Publication ids imported products should be published to
+// Falls back to the Online Store publication for shops that never picked channels.
+export const resolvePublicationIds = async (session) => {
+  const saved = await getSavedPublicationIds(session.shop);
+  if (saved) {
+    return saved;
+  }
+
+  const publications = await listPublications(session);
+  const onlineStore = publications.find(publication => publication.name === ONLINE_STORE_NAME);
+  if (!onlineStore) {
+    console.warn(`[WARNING] No Online Store publication found for ${session.shop}, imported products will not be published`);
+    return [];
+  }
+  return [onlineStore.id];
+};
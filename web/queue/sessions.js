@@ -0,0 +1,29 @@
+import { HttpResponseError } from '@shopify/shopify-api';
+import shopify from '../shopify.js';
+
+// Load the shop's offline session from session storage
+// Returns null when the shop has no stored offline token (e.g. the app was uninstalled).
+export const loadOfflineSession = async (shopDomain) => {
+  const sessionId = shopify.api.session.getOfflineId(shopDomain);
+  const session = await shopify.config.sessionStorage.loadSession(sessionId);
+
+  if (!session || !session.accessToken) {
+    return null;
+  }
+
+  return session;
+};
+
+export const REAUTH_REQUIRED_MESSAGE = "Re-authentication required: the shop's access token is missing or was revoked. Open the app in Shopify admin to re-authorize it, then resume the sync.";
+
+// Whether an error (or any error it wraps) is an Admin API rejection of the access token
+export const isRevokedTokenError = (error) => {
+  let current = error;
+  while (current) {
+    if (current instanceof HttpResponseError && current.response?.code === 401) {
+      return true;
+    }
+    current = current.cause;
+  }
+  return false;
+};
@@ -0,0 +1,1181 @@
+import { createHash } from 'crypto';
+import { createThrottledClient } from './graphqlThrottle.js';
+import { getProductMapping, saveProductMapping, deleteProductMapping } from './productMappings.js';
+import { addProductsToCollections } from './collectionRules.js';
+import { buildProductMetafields } from './productMetafields.js';
+
+// Error for Shopify userErrors, keeping the full list for the failure ledger
+const userErrorsError = (userErrors) => {
+  const [error] = userErrors;
+  return Object.assign(new Error(`Shopify API error: ${error.message} (field: ${error.field})`), { userErrors });
+};
+
+// Build the ProductInput fields shared by create and update
+const buildProductInput = (product) => ({
+  title: product.title,
+  descriptionHtml: product.description,
+  vendor: product.vendor,
+  productType: product.category,
+  tags: product.tags
+});
+
+// Build CreateMediaInput entries for the product images
+const buildMediaInput = (product) => {
+  return product.images ? product.images.filter(Boolean).map(imageUrl => ({
+    originalSource: imageUrl,
+    alt: product.title,
+    mediaContentType: 'IMAGE'
+  })) : [];
+};
+
+// Every image URL the product and its variants reference, used to detect media changes
+export const getMediaSources = (product) => {
+  const variantImages = getProductVariants(product).map(variant => variant.image).filter(Boolean);
+  return [...buildMediaInput(product).map(media => media.originalSource), ...variantImages];
+};
+
+// Shopify limits products to three options
+const MAX_PRODUCT_OPTIONS = 3;
+
+// Variants of a normalized product, falling back to a single default variant
+export const getProductVariants = (product) => {
+  if (product.variants && product.variants.length > 0) {
+    return product.variants;
+  }
+
+  return [{
+    key: 'default',
+    options: {},
+    sku: product.sku,
+    barcode: product.barcode,
+    price: product.price,
+    compare_at_price: product.compare_at_price,
+    cost: product.cost,
+    inventory_quantity: product.inventory_quantity,
+    warehouses: product.warehouses,
+    image: null
+  }];
+};
+
+// Available quantity to set for a variant or warehouse; supplier stock of zero (or none) is set as zero
+const getInventoryQuantity = (stock) => Math.max(0, Math.floor(Number(stock.inventory_quantity) || 0));
+
+// Locations a shop's inventory settings stock: the default location and every mapped warehouse's
+const getStockedLocationIds = (inventoryLocations) => {
+  return [...new Set([inventoryLocations.defaultLocationId, ...Object.values(inventoryLocations.warehouseLocations)])];
+};
+
+// Split a variant's supplier stock over the shop's locations as [{ locationId, quantity }]
+// Variants without warehouse stock put their whole quantity at the default location. Stock of
+// warehouses without a location of their own goes to the default location too.
+const getLocationQuantities = (variant, inventoryLocations) => {
+  const { defaultLocationId, warehouseLocations } = inventoryLocations;
+  if (!Array.isArray(variant.warehouses) || variant.warehouses.length === 0) {
+    return [{ locationId: defaultLocationId, quantity: getInventoryQuantity(variant) }];
+  }
+
+  const totals = new Map(getStockedLocationIds(inventoryLocations).map(locationId => [locationId, 0]));
+  for (const warehouse of variant.warehouses) {
+    const locationId = warehouseLocations[warehouse.id] || defaultLocationId;
+    totals.set(locationId, totals.get(locationId) + getInventoryQuantity(warehouse));
+  }
+  return [...totals].map(([locationId, quantity]) => ({ locationId, quantity }));
+};
+
+// Compare-at price to send for a variant; null removes a compare-at price set by an earlier sync
+// Pricing drops compare-at prices that are not above the price, this guards unpriced products.
+const getCompareAtPrice = (variant) => {
+  const compareAt = Number(variant.compare_at_price);
+  const hasCompareAt = variant.compare_at_price !== null && variant.compare_at_price !== undefined && variant.compare_at_price !== '';
+  return hasCompareAt && Number.isFinite(compareAt) && compareAt > Number(variant.price) ? variant.compare_at_price : null;
+};
+
+// Shopify weight units by normalized weight_unit
+const WEIGHT_UNITS = {
+  kg: 'KILOGRAMS',
+  g: 'GRAMS',
+  lb: 'POUNDS',
+  oz: 'OUNCES'
+};
+
+// Build the InventoryItemInput of a variant: SKU, plus the shipping, cost and customs data the
+// supplier provides. Weight and customs data fall back to the product's; cost is the supplier
+// price before markup, in the shop's currency, so it is only set after pricing.
+const buildInventoryItemInput = (product, variant) => {
+  const input = { sku: variant.sku };
+
+  const weight = Number(variant.weight ?? product.weight);
+  const unit = WEIGHT_UNITS[variant.weight_unit ?? product.weight_unit];
+  if (weight > 0 && unit) {
+    input.measurement = { weight: { value: weight, unit } };
+  }
+
+  const cost = Number(variant.cost);
+  if (variant.cost !== undefined && variant.cost !== null && Number.isFinite(cost) && cost >= 0) {
+    input.cost = cost.toFixed(2);
+  }
+
+  const countryOfOrigin = String(variant.country_of_origin ?? product.country_of_origin ?? '').trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(countryOfOrigin)) {
+    input.countryCodeOfOrigin = countryOfOrigin;
+  }
+
+  // HS codes are 6 to 13 digits, often written with dots
+  const hsCode = String(variant.hs_code ?? product.hs_code ?? '').replace(/[.\s]/g, '');
+  if (/^\d{6,13}$/.test(hsCode)) {
+    input.harmonizedSystemCode = hsCode;
+  }
+
+  return input;
+};
+
+// Build the productOptions input from the normalized product options
+const buildProductOptionsInput = (product) => {
+  const options = product.options || [];
+  if (options.length > MAX_PRODUCT_OPTIONS) {
+    throw new Error(`Shopify supports at most ${MAX_PRODUCT_OPTIONS} product options, got ${options.length}`);
+  }
+
+  return options.map(option => ({
+    name: option.name,
+    values: option.values.map(value => ({ name: value }))
+  }));
+};
+
+// Build a ProductSetInput for bulk imports
+// productSet describes the whole product, so products without options get Shopify's
+// default "Title" option. Mapped products keep their ids so the bulk run updates them.
+export const buildProductSetInput = (product, mapping, { supplier, inventoryLocations, includeMedia = true } = {}) => {
+  const variants = getProductVariants(product);
+  const hasOptions = product.options && product.options.length > 0;
+  const options = hasOptions ? product.options : [{ name: 'Title', values: ['Default Title'] }];
+  if (options.length > MAX_PRODUCT_OPTIONS) {
+    throw new Error(`Shopify supports at most ${MAX_PRODUCT_OPTIONS} product options, got ${options.length}`);
+  }
+
+  const input = {
+    ...buildProductInput(product),
+    productOptions: options.map((option, index) => ({
+      name: option.name,
+      position: index + 1,
+      values: option.values.map(value => ({ name: value }))
+    })),
+    variants: variants.map(variant => {
+      const variantInput = {
+        optionValues: hasOptions
+          ? options.map(option => ({ optionName: option.name, name: variant.options[option.name] }))
+          : [{ optionName: 'Title', name: 'Default Title' }],
+        price: variant.price,
+        compareAtPrice: getCompareAtPrice(variant),
+        inventoryItem: buildInventoryItemInput(product, variant)
+      };
+
+      if (variant.barcode) {
+        variantInput.barcode = variant.barcode;
+      }
+
+      const variantId = mapping?.variant_ids?.[variant.key];
+      if (variantId) {
+        variantInput.id = variantId;
+      }
+
+      if (inventoryLocations) {
+        variantInput.inventoryQuantities = getLocationQuantities(variant, inventoryLocations).map(({ locationId, quantity }) => ({
+          locationId,
+          name: 'available',
+          quantity
+        }));
+      }
+
+      if (includeMedia && variant.image) {
+        variantInput.file = { originalSource: variant.image, contentType: 'IMAGE' };
+      }
+
+      return variantInput;
+    })
+  };
+
+  if (supplier) {
+    input.metafields = buildProductMetafields(product, supplier);
+  }
+
+  if (mapping) {
+    input.id = mapping.shopify_product_id;
+  }
+
+  // A delisted product is back in the feed: undo the status change delisting made, if any
+  if (mapping?.delisted_at && mapping.status_before_delisting) {
+    input.status = mapping.status_before_delisting;
+  }
+
+  if (includeMedia) {
+    input.files = buildMediaInput(product).map(media => ({
+      originalSource: media.originalSource,
+      alt: media.alt,
+      contentType: 'IMAGE'
+    }));
+  }
+
+  return input;
+};
+
+// Match variants returned by Shopify to supplier variant keys by their option values
+export const matchVariantIds = (product, shopifyVariants) => {
+  const variantIds = {};
+  const hasOptions = product.options && product.options.length > 0;
+
+  for (const variant of getProductVariants(product)) {
+    const match = hasOptions
+      ? shopifyVariants.find(shopifyVariant => product.options.every(option =>
+          shopifyVariant.selectedOptions.some(selected =>
+            selected.name === option.name && selected.value === variant.options[option.name]
+          )
+        ))
+      : shopifyVariants[0];
+
+    if (match) {
+      variantIds[variant.key] = match.id;
+    }
+  }
+
+  return variantIds;
+};
+
+// Build a ProductVariantsBulkInput for a normalized variant
+const buildVariantInput = (product, variant, { id, attachMedia }) => {
+  const input = {
+    price: variant.price,
+    compareAtPrice: getCompareAtPrice(variant),
+    inventoryItem: buildInventoryItemInput(product, variant)
+  };
+
+  if (variant.barcode) {
+    input.barcode = variant.barcode;
+  }
+
+  if (id) {
+    input.id = id;
+  } else {
+    input.optionValues = (product.options || []).map(option => ({
+      optionName: option.name,
+      name: variant.options[option.name]
+    }));
+  }
+
+  if (attachMedia && variant.image) {
+    input.mediaSrc = [variant.image];
+  }
+
+  return input;
+};
+
+// Create, update and delete variants so the Shopify product matches the supplier variants
+// existingVariantIds maps supplier variant keys to variant GIDs already on the product.
+// Returns the new key -> variant GID map, and whether every update, delete and inventory write
+// succeeded (`complete`).
+const syncVariants = async (client, productId, product, existingVariantIds, { attachMedia = false, strategy, inventoryLocations } = {}) => {
+  const variants = getProductVariants(product);
+  const variantIds = {};
+  const toUpdate = [];
+  const toCreate = [];
+  const saved = [];
+  let complete = true;
+
+  for (const variant of variants) {
+    const id = existingVariantIds[variant.key];
+    if (id) {
+      toUpdate.push({ variant, input: buildVariantInput(product, variant, { id, attachMedia }) });
+    } else {
+      toCreate.push({ variant, input: buildVariantInput(product, variant, { attachMedia }) });
+    }
+  }
+
+  if (toUpdate.length > 0) {
+    const updateVariantsMutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+            price
+            sku
+            inventoryQuantity
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    console.log(`[DEBUG] Updating ${toUpdate.length} variants for product ${productId}`);
+
+    const variantResult = await client.request(updateVariantsMutation, {
+      variables: {
+        productId,
+        variants: toUpdate.map(entry => entry.input)
+      }
+    });
+
+    console.log(`[DEBUG] Variant update result:`, variantResult);
+
+    toUpdate.forEach(({ variant, input }) => { variantIds[variant.key] = input.id; });
+
+    if (variantResult.data.productVariantsBulkUpdate.userErrors.length > 0) {
+      const error = variantResult.data.productVariantsBulkUpdate.userErrors[0];
+      console.warn(`[WARNING] Variant update failed: ${error.message} (field: ${error.field})`);
+      // Don't throw here as the product itself was saved; skip inventory for these variants
+      complete = false;
+    } else {
+      saved.push(...toUpdate.map(entry => entry.variant));
+    }
+  }
+
+  if (toCreate.length > 0) {
+    const createVariantsMutation = `
+      mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $strategy: ProductVariantsBulkCreateStrategy) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: $strategy) {
+          productVariants {
+            id
+            sku
+            price
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    console.log(`[DEBUG] Creating ${toCreate.length} variants for product ${productId}`);
+
+    const createResult = await client.request(createVariantsMutation, {
+      variables: {
+        productId,
+        variants: toCreate.map(entry => entry.input),
+        strategy
+      }
+    });
+
+    if (createResult.data.productVariantsBulkCreate.userErrors.length > 0) {
+      throw userErrorsError(createResult.data.productVariantsBulkCreate.userErrors);
+    }
+
+    // Variants are returned in input order
+    createResult.data.productVariantsBulkCreate.productVariants.forEach((createdVariant, index) => {
+      variantIds[toCreate[index].variant.key] = createdVariant.id;
+    });
+    saved.push(...toCreate.map(entry => entry.variant));
+  }
+
+  // Remove variants the supplier no longer offers
+  const staleVariantIds = Object.entries(existingVariantIds)
+    .filter(([key]) => !variantIds[key])
+    .map(([, id]) => id);
+
+  if (staleVariantIds.length > 0) {
+    const deleteVariantsMutation = `
+      mutation productVariantsBulkDelete($productId: ID!, $variantsIds: [ID!]!) {
+        productVariantsBulkDelete(productId: $productId, variantsIds: $variantsIds) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    console.log(`[DEBUG] Deleting ${staleVariantIds.length} stale variants for product ${productId}`);
+
+    const deleteResult = await client.request(deleteVariantsMutation, {
+      variables: { productId, variantsIds: staleVariantIds }
+    });
+
+    if (deleteResult.data.productVariantsBulkDelete.userErrors.length > 0) {
+      const error = deleteResult.data.productVariantsBulkDelete.userErrors[0];
+      console.warn(`[WARNING] Variant delete failed: ${error.message} (field: ${error.field})`);
+      complete = false;
+    }
+  }
+
+  // Handle inventory quantities separately for the variants that were saved
+  if (inventoryLocations) {
+    const stocked = await setVariantsInventory(client, saved.map(variant => ({
+      variantId: variantIds[variant.key],
+      quantities: getLocationQuantities(variant, inventoryLocations)
+    })));
+    if (stocked < saved.length) {
+      complete = false;
+    }
+  }
+
+  return { variantIds, complete };
+};
+
+// Stock inventory items at locations they are not stocked at yet
+// Takes [{ inventoryItemId, locationIds }] and resolves to the set of "item|location" pairs that
+// could not be activated.
+const activateInventoryItems = async (client, items) => {
+  const failed = new Set();
+
+  for (const { inventoryItemId, locationIds } of items) {
+    console.log(`[DEBUG] Activating inventory item ${inventoryItemId} at ${locationIds.length} locations`);
+
+    const result = await client.request(`
+      mutation inventoryBulkToggleActivation($inventoryItemId: ID!, $inventoryItemUpdates: [InventoryBulkToggleActivationInput!]!) {
+        inventoryBulkToggleActivation(inventoryItemId: $inventoryItemId, inventoryItemUpdates: $inventoryItemUpdates) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      variables: {
+        inventoryItemId,
+        inventoryItemUpdates: locationIds.map(locationId => ({ locationId, activate: true }))
+      }
+    });
+
+    const userErrors = result.data.inventoryBulkToggleActivation.userErrors;
+    if (userErrors.length > 0) {
+      console.warn(`[WARNING] Inventory activation failed for ${inventoryItemId}: ${userErrors[0].message} (field: ${userErrors[0].field})`);
+      locationIds.forEach(locationId => failed.add(`${inventoryItemId}|${locationId}`));
+    }
+  }
+
+  return failed;
+};
+
+// Set the available quantity of variants at the shop's inventory locations
+// Takes [{ variantId, quantities: [{ locationId, quantity }] }] and makes one lookup and one
+// inventorySetQuantities call for all of them, plus one activation call per inventory item that
+// is not stocked at a location yet. Returns the number of variants whose quantities were set at
+// every location.
+const setVariantsInventory = async (client, entries) => {
+  if (entries.length === 0) return 0;
+
+  try {
+    // Get the inventory item and the locations it is stocked at for every variant
+    const inventoryItemsQuery = `
+      query getInventoryItems($variantIds: [ID!]!) {
+        nodes(ids: $variantIds) {
+          ... on ProductVariant {
+            id
+            inventoryItem {
+              id
+              inventoryLevels(first: 50) {
+                nodes {
+                  location {
+                    id
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const inventoryItemsResult = await client.request(inventoryItemsQuery, {
+      variables: { variantIds: entries.map(entry => entry.variantId) }
+    });
+
+    const items = inventoryItemsResult.data.nodes.flatMap((node, index) => {
+      if (!node?.inventoryItem) {
+        console.warn(`[WARNING] Variant ${entries[index].variantId} has no inventory item, skipping inventory update`);
+        return [];
+      }
+      const stockedLocationIds = node.inventoryItem.inventoryLevels.nodes.map(level => level.location.id);
+      return [{ inventoryItemId: node.inventoryItem.id, stockedLocationIds, quantities: entries[index].quantities }];
+    });
+
+    const inactive = items
+      .map(item => ({
+        inventoryItemId: item.inventoryItemId,
+        locationIds: item.quantities.map(entry => entry.locationId).filter(locationId => !item.stockedLocationIds.includes(locationId))
+      }))
+      .filter(item => item.locationIds.length > 0);
+    const failedActivations = await activateInventoryItems(client, inactive);
+    const isActive = (item, entry) => !failedActivations.has(`${item.inventoryItemId}|${entry.locationId}`);
+
+    const setItems = items
+      .map(item => ({
+        ...item,
+        quantities: item.quantities.filter(entry => isActive(item, entry))
+      }))
+      .filter(item => item.quantities.length > 0);
+    const quantities = setItems.flatMap(item => item.quantities.map(({ locationId, quantity }) => ({
+      inventoryItemId: item.inventoryItemId,
+      locationId,
+      quantity
+    })));
+
+    if (quantities.length === 0) return 0;
+
+    // Set inventory quantities
+    const inventoryMutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          inventoryAdjustmentGroup {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const inventoryInput = {
+      reason: "correction",
+      name: "available",
+      ignoreCompareQuantity: true,
+      quantities
+    };
+
+    const inventoryResult = await client.request(inventoryMutation, {
+      variables: { input: inventoryInput }
+    });
+
+    if (inventoryResult.data.inventorySetQuantities.userErrors.length > 0) {
+      const inventoryError = inventoryResult.data.inventorySetQuantities.userErrors[0];
+      console.warn(`[WARNING] Inventory update failed: ${inventoryError.message} (field: ${inventoryError.field})`);
+      return 0;
+    }
+
+    console.log(`[SUCCESS] Set inventory quantities of ${setItems.length} variants at ${quantities.length} item locations`);
+    return items.filter(item => item.quantities.every(entry => isActive(item, entry))).length;
+  } catch (inventoryError) {
+    console.warn(`[WARNING] Failed to set inventory quantities: ${inventoryError.message}`);
+    return 0;
+  }
+};
+
+// Publish the product to the shop's chosen sales channels
+// Resolves to false when publishing failed; the failure is logged, not thrown.
+const publishProduct = async (client, productId, publicationIds) => {
+  if (publicationIds.length === 0) {
+    console.log(`[DEBUG] No sales channels selected, product ${productId} stays unpublished`);
+    return true;
+  }
+
+  try {
+    console.log(`[DEBUG] Publishing product ${productId} to ${publicationIds.length} sales channels...`);
+
+    const publishProductMutation = `
+      mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+        publishablePublish(id: $id, input: $input) {
+          publishable {
+            ... on Product {
+              id
+              title
+              publishedAt
+            }
+          }
+          shop {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const publishResult = await client.request(publishProductMutation, {
+      variables: {
+        id: productId,
+        input: publicationIds.map(publicationId => ({
+          publicationId,
+          publishDate: new Date().toISOString()
+        }))
+      }
+    });
+
+    console.log(`[DEBUG] Product publish result:`, publishResult);
+
+    if (publishResult.data.publishablePublish.userErrors.length > 0) {
+      const publishError = publishResult.data.publishablePublish.userErrors[0];
+      console.warn(`[WARNING] Product publish failed: ${publishError.message} (field: ${publishError.field})`);
+      return false;
+    }
+    console.log(`[SUCCESS] Product ${productId} published to ${publicationIds.length} sales channels successfully`);
+    return true;
+
+  } catch (publishError) {
+    console.warn(`[WARNING] Failed to publish product to its sales channels: ${publishError.message}`);
+    // Don't throw here as the product was created successfully
+    return false;
+  }
+};
+
+// Replace all product media with the supplier's current images
+const replaceProductMedia = async (client, productId, product) => {
+  const mediaQuery = `
+    query getProductMedia($id: ID!) {
+      product(id: $id) {
+        media(first: 50) {
+          nodes {
+            id
+          }
+        }
+      }
+    }
+  `;
+
+  const mediaResult = await client.request(mediaQuery, { variables: { id: productId } });
+  const existingMediaIds = mediaResult.data.product?.media.nodes.map(node => node.id) || [];
+
+  if (existingMediaIds.length > 0) {
+    const deleteMediaMutation = `
+      mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+          deletedMediaIds
+          mediaUserErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const deleteResult = await client.request(deleteMediaMutation, {
+      variables: { productId, mediaIds: existingMediaIds }
+    });
+
+    if (deleteResult.data.productDeleteMedia.mediaUserErrors.length > 0) {
+      throw userErrorsError(deleteResult.data.productDeleteMedia.mediaUserErrors);
+    }
+  }
+
+  const mediaInput = buildMediaInput(product);
+  if (mediaInput.length === 0) return;
+
+  const createMediaMutation = `
+    mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+      productCreateMedia(productId: $productId, media: $media) {
+        media {
+          id
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const createResult = await client.request(createMediaMutation, {
+    variables: { productId, media: mediaInput }
+  });
+
+  if (createResult.data.productCreateMedia.mediaUserErrors.length > 0) {
+    throw userErrorsError(createResult.data.productCreateMedia.mediaUserErrors);
+  }
+};
+
+// Simplified Shopify product creation with better error handling
+// With a supplier, the product is mapped as soon as productCreate returns it, so a product whose
+// later steps fail is updated by the next sync rather than created twice.
+export const createShopifyProduct = async (session, product, { supplier = null, publicationIds = [], inventoryLocations = null } = {}) => {
+  try {
+    console.log(`[DEBUG] Creating Shopify GraphQL client for shop: ${session.shop}`);
+    const client = createThrottledClient(session);
+
+    // Create the product without variants
+    const createProductMutation = `
+      mutation productCreate($input: ProductInput!, $media: [CreateMediaInput!]) {
+        productCreate(input: $input, media: $media) {
+          product {
+            id
+            title
+            handle
+            media(first: 10) {
+              edges {
+                node {
+                  id
+                  ... on MediaImage {
+                    image {
+                      id
+                      url
+                      altText
+                    }
+                  }
+                }
+              }
+            }
+            variants(first: 1) {
+              edges {
+                node {
+                  id
+                  sku
+                  price
+                }
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    // Product input without variants (variants are not allowed in ProductInput)
+    const productInput = buildProductInput(product);
+    const productOptions = buildProductOptionsInput(product);
+    if (productOptions.length > 0) {
+      productInput.productOptions = productOptions;
+    }
+    if (supplier) {
+      productInput.metafields = buildProductMetafields(product, supplier);
+    }
+
+    // Prepare media input for images
+    const mediaInput = buildMediaInput(product);
+
+    console.log(`[DEBUG] Creating product with input:`, productInput);
+    console.log(`[DEBUG] Media input:`, mediaInput);
+
+    const result = await client.request(createProductMutation, {
+      variables: {
+        input: productInput,
+        media: mediaInput.length > 0 ? mediaInput : undefined
+      }
+    });
+
+    console.log(`[DEBUG] Product creation result:`, result);
+
+    if (result.data.productCreate.userErrors.length > 0) {
+      throw userErrorsError(result.data.productCreate.userErrors);
+    }
+
+    const createdProduct = result.data.productCreate.product;
+    const defaultVariantId = createdProduct.variants.edges[0]?.node.id;
+    const [defaultVariant] = getProductVariants(product);
+
+    // Map the product before any later step can fail, so a re-run updates it instead of creating
+    // a duplicate. Without a content hash that re-run writes it in full.
+    if (supplier) {
+      const keepsDefaultVariant = productOptions.length === 0 && defaultVariantId;
+      await saveProductMapping(session.shop, supplier, product.id, {
+        shopify_product_id: createdProduct.id,
+        shopify_variant_id: keepsDefaultVariant ? defaultVariantId : null,
+        variant_ids: keepsDefaultVariant ? { [defaultVariant.key]: defaultVariantId } : {},
+        media_sources: getMediaSources(product),
+        content_hash: null,
+        publish_pending: publicationIds.length > 0
+      });
+    }
+
+    // Products without options keep the default variant and update it in place;
+    // products with options get every supplier variant created, replacing the default one
+    let synced = { variantIds: {}, complete: true };
+    if (productOptions.length === 0) {
+      if (defaultVariantId) {
+        synced = await syncVariants(client, createdProduct.id, product, { [defaultVariant.key]: defaultVariantId }, { attachMedia: true, inventoryLocations });
+      }
+    } else {
+      synced = await syncVariants(client, createdProduct.id, product, {}, {
+        attachMedia: true,
+        strategy: 'REMOVE_STANDALONE_VARIANT',
+        inventoryLocations
+      });
+    }
+    const { variantIds } = synced;
+
+    const published = await publishProduct(client, createdProduct.id, publicationIds);
+
+    console.log(`[SUCCESS] Created product ${createdProduct.id} with ${Object.keys(variantIds).length} variants and ${createdProduct.media.edges.length} media items`);
+
+    return { ...createdProduct, variantIds, complete: synced.complete, published };
+
+  } catch (error) {
+    console.error(`[ERROR] Failed to create Shopify product:`, error);
+    throw new Error(`Product creation failed: ${error.message}`, { cause: error });
+  }
+};
+
+// Whether a product id still resolves to a product
+const productExists = async (client, productId) => {
+  const result = await client.request(`
+    query productExists($id: ID!) {
+      product(id: $id) {
+        id
+      }
+    }
+  `, { variables: { id: productId } });
+
+  return !!result.data.product;
+};
+
+// Update a previously synced product in place
+// A product whose publishing failed when it was created is published to publicationIds again.
+// Returns null when the mapped Shopify product no longer exists.
+export const updateShopifyProduct = async (session, mapping, product, { supplier = null, publicationIds = [], inventoryLocations = null } = {}) => {
+  try {
+    const client = createThrottledClient(session);
+
+    const updateProductMutation = `
+      mutation productUpdate($input: ProductInput!) {
+        productUpdate(input: $input) {
+          product {
+            id
+            title
+            handle
+            variants(first: 1) {
+              edges {
+                node {
+                  id
+                  sku
+                  price
+                }
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const productInput = {
+      id: mapping.shopify_product_id,
+      ...buildProductInput(product)
+    };
+    if (supplier) {
+      productInput.metafields = buildProductMetafields(product, supplier);
+    }
+
+    // A delisted product is back in the feed: undo the status change delisting made, if any
+    if (mapping.delisted_at && mapping.status_before_delisting) {
+      productInput.status = mapping.status_before_delisting;
+    }
+
+    console.log(`[DEBUG] Updating product with input:`, productInput);
+
+    const result = await client.request(updateProductMutation, {
+      variables: { input: productInput }
+    });
+
+    // productUpdate returns no product for any userError; only a product that no longer exists
+    // makes the caller drop the mapping, every other rejection fails the product
+    const updatedProduct = result.data.productUpdate.product;
+    if (!updatedProduct) {
+      const { userErrors } = result.data.productUpdate;
+      if (!(await productExists(client, mapping.shopify_product_id))) {
+        console.warn(`[WARNING] Mapped product ${mapping.shopify_product_id} no longer exists in Shopify`);
+        return null;
+      }
+      throw userErrors.length > 0 ? userErrorsError(userErrors) : new Error('No product returned by productUpdate');
+    }
+
+    // Only touch media when the supplier's image list changed
+    const mediaSources = getMediaSources(product);
+    const mediaChanged = JSON.stringify(mediaSources) !== JSON.stringify(mapping.media_sources);
+    if (mediaChanged) {
+      console.log(`[DEBUG] Media changed for product ${updatedProduct.id}, replacing media`);
+      await replaceProductMedia(client, updatedProduct.id, product);
+    }
+
+    // Mappings created before variant support only know the default variant
+    let existingVariantIds = getMappedVariantIds(mapping, product);
+    if (Object.keys(existingVariantIds).length === 0 && updatedProduct.variants.edges[0]) {
+      const [firstVariant] = getProductVariants(product);
+      existingVariantIds = { [firstVariant.key]: updatedProduct.variants.edges[0].node.id };
+    }
+
+    const { variantIds, complete } = await syncVariants(client, updatedProduct.id, product, existingVariantIds, { attachMedia: mediaChanged, inventoryLocations });
+    const published = mapping.publish_pending ? await publishProduct(client, updatedProduct.id, publicationIds) : true;
+
+    console.log(`[SUCCESS] Updated product ${updatedProduct.id} with ${Object.keys(variantIds).length} variants`);
+
+    return { ...updatedProduct, variantIds, complete, published };
+
+  } catch (error) {
+    console.error(`[ERROR] Failed to update Shopify product:`, error);
+    throw new Error(`Product update failed: ${error.message}`, { cause: error });
+  }
+};
+
+// Why Shopify would reject a normalized product, checked before any mutation
+// Returns null for products that can be synced.
+export const validateProduct = (product) => {
+  if (!product.title || !String(product.title).trim()) {
+    return 'Missing title';
+  }
+
+  if ((product.options || []).length > MAX_PRODUCT_OPTIONS) {
+    return `Shopify supports at most ${MAX_PRODUCT_OPTIONS} product options, got ${product.options.length}`;
+  }
+
+  const invalidPrice = getProductVariants(product).find(variant => {
+    const price = Number(variant.price);
+    return !Number.isFinite(price) || price < 0;
+  });
+  if (invalidPrice) {
+    return `Invalid price "${invalidPrice.price}" for variant ${invalidPrice.key}`;
+  }
+
+  return null;
+};
+
+// Sync modes: full syncs create and update whole products, the other modes only refresh
+// one aspect of products that were already imported
+export const SYNC_MODES = ['full', 'inventory-only', 'price-only'];
+
+// Normalized fields that never reach Shopify, so changes to them do not need an update
+const UNHASHED_FIELDS = ['ships_to'];
+
+// JSON with sorted object keys, so equal products always serialize the same way
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Content hash of a prepared product, stored on its mapping after each full sync
+// Products are hashed after field mapping and pricing, so changing those settings also
+// counts as a change.
+export const getProductContentHash = (product) => {
+  const hashed = Object.fromEntries(Object.entries(product).filter(([key]) => !UNHASHED_FIELDS.includes(key)));
+  return createHash('sha256').update(stableStringify(hashed)).digest('hex');
+};
+
+// Decide what syncing a product would do, without calling Shopify
+// Resolves to { action: 'create' | 'update' | 'unchanged' | 'skip' | 'reject', reason, mapping,
+// contentHash }; shared by real syncs and dry runs so a preview reports exactly what a sync
+// would do.
+// Products the supplier cannot ship to the job's shipping country are skipped. Full syncs
+// leave mapped products whose content hash matches the last sync unchanged.
+export const planProductSync = async (shopDomain, product, supplier, { mode = 'full', shippingCountry = null } = {}) => {
+  const reason = validateProduct(product);
+  if (reason) {
+    return { action: 'reject', reason, mapping: null };
+  }
+
+  if (shippingCountry && Array.isArray(product.ships_to) && !product.ships_to.includes(shippingCountry)) {
+    return { action: 'skip', reason: `Supplier does not ship to ${shippingCountry}`, mapping: null };
+  }
+
+  const mapping = await getProductMapping(shopDomain, supplier, product.id);
+  if (!mapping && mode !== 'full') {
+    return { action: 'skip', reason: `Not imported yet; ${mode} syncs only update existing products`, mapping: null };
+  }
+
+  if (mode !== 'full') {
+    return { action: 'update', reason: null, mapping, contentHash: null };
+  }
+
+  const contentHash = getProductContentHash(product);
+  if (!mapping) {
+    return { action: 'create', reason: null, mapping: null, contentHash };
+  }
+
+  // A product still waiting to be published is not done yet, even when its content is
+  return mapping.content_hash === contentHash && !mapping.publish_pending
+    ? { action: 'unchanged', reason: 'No changes since the last sync', mapping, contentHash }
+    : { action: 'update', reason: null, mapping, contentHash };
+};
+
+// Variant GIDs of a mapped product keyed by supplier variant key
+const getMappedVariantIds = (mapping, product) => {
+  if (Object.keys(mapping.variant_ids || {}).length > 0) {
+    return mapping.variant_ids;
+  }
+
+  // Mappings created before variant support only know the default variant
+  const [firstVariant] = getProductVariants(product);
+  return mapping.shopify_variant_id ? { [firstVariant.key]: mapping.shopify_variant_id } : {};
+};
+
+// Refresh only the prices or only the inventory of a mapped product's variants
+// Variants the supplier added since the last full sync are left for the next full sync.
+export const updateShopifyProductFields = async (session, mapping, product, mode, { inventoryLocations = null } = {}) => {
+  const client = createThrottledClient(session);
+  const variantIds = getMappedVariantIds(mapping, product);
+  const variants = getProductVariants(product).filter(variant => variantIds[variant.key]);
+
+  try {
+    if (mode === 'price-only' && variants.length > 0) {
+      const result = await client.request(`
+        mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `, {
+        variables: {
+          productId: mapping.shopify_product_id,
+          variants: variants.map(variant => {
+            // Keep the unit cost in step with the price it was marked up from
+            const { cost } = buildInventoryItemInput(product, variant);
+            return {
+              id: variantIds[variant.key],
+              price: variant.price,
+              compareAtPrice: getCompareAtPrice(variant),
+              ...(cost && { inventoryItem: { cost } })
+            };
+          })
+        }
+      });
+
+      if (result.data.productVariantsBulkUpdate.userErrors.length > 0) {
+        throw userErrorsError(result.data.productVariantsBulkUpdate.userErrors);
+      }
+    }
+
+    if (mode === 'inventory-only' && inventoryLocations) {
+      const stocked = await setVariantsInventory(client, variants.map(variant => ({
+        variantId: variantIds[variant.key],
+        quantities: getLocationQuantities(variant, inventoryLocations)
+      })));
+      if (stocked < variants.length) {
+        throw new Error(`Inventory was set for ${stocked} of ${variants.length} variants`);
+      }
+    }
+
+    console.log(`[SUCCESS] Refreshed ${mode === 'price-only' ? 'prices' : 'inventory'} of ${variants.length} variants of product ${mapping.shopify_product_id}`);
+
+    return { id: mapping.shopify_product_id, variantIds };
+  } catch (error) {
+    console.error(`[ERROR] Failed to refresh Shopify product ${mapping.shopify_product_id}:`, error);
+    throw new Error(`Product ${mode} update failed: ${error.message}`, { cause: error });
+  }
+};
+
+// Shopify product status set by each delisting action
+const DELISTING_STATUSES = {
+  draft: 'DRAFT',
+  archive: 'ARCHIVED'
+};
+
+// Take a mapped product that left the supplier feed off sale
+// `draft` and `archive` change the product status, `zero-inventory` sets every variant's stock to 0
+// at the locations of the shop's inventory settings.
+// Resolves to the status the product had before, or null when delisting left the status alone.
+export const delistShopifyProduct = async (session, mapping, action, { inventoryLocations = null } = {}) => {
+  const client = createThrottledClient(session);
+
+  if (action === 'zero-inventory') {
+    if (!inventoryLocations) {
+      throw new Error(`No inventory location to zero the stock of product ${mapping.shopify_product_id} at`);
+    }
+    const variantIds = Object.values(mapping.variant_ids || {});
+    if (variantIds.length === 0 && mapping.shopify_variant_id) {
+      variantIds.push(mapping.shopify_variant_id);
+    }
+    const quantities = getStockedLocationIds(inventoryLocations).map(locationId => ({ locationId, quantity: 0 }));
+    const updated = await setVariantsInventory(client, variantIds.map(variantId => ({ variantId, quantities })));
+    if (variantIds.length > 0 && updated === 0) {
+      throw new Error(`Could not zero the inventory of product ${mapping.shopify_product_id}`);
+    }
+    return null;
+  }
+
+  const current = await client.request(`
+    query productStatus($id: ID!) {
+      product(id: $id) {
+        status
+      }
+    }
+  `, { variables: { id: mapping.shopify_product_id } });
+  const previousStatus = current.data.product?.status || null;
+
+  const result = await client.request(`
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { input: { id: mapping.shopify_product_id, status: DELISTING_STATUSES[action] } }
+  });
+
+  if (result.data.productUpdate.userErrors.length > 0) {
+    throw userErrorsError(result.data.productUpdate.userErrors);
+  }
+  // Nothing to undo when the merchant had already set that status
+  return previousStatus === DELISTING_STATUSES[action] ? null : previousStatus;
+};
+
+// Create the product on first sight, update it on every later sync
+// Returns { action: 'skipped' | 'unchanged' | 'updated' | 'created', product }; skipped and
+// unchanged products come with a reason and no product.
+export const upsertShopifyProduct = async (session, product, supplier, { mode = 'full', shippingCountry = null, publicationIds = [], inventoryLocations = null } = {}) => {
+  const plan = await planProductSync(session.shop, product, supplier, { mode, shippingCountry });
+  if (plan.action === 'reject') {
+    throw new Error(`Product rejected: ${plan.reason}`);
+  }
+  if (plan.action === 'skip') {
+    return { action: 'skipped', reason: plan.reason, product: null };
+  }
+  if (plan.action === 'unchanged') {
+    return { action: 'unchanged', reason: plan.reason, product: null };
+  }
+
+  const { mapping, contentHash } = plan;
+  if (mode !== 'full') {
+    const updatedProduct = await updateShopifyProductFields(session, mapping, product, mode, { inventoryLocations });
+    return { action: 'updated', product: updatedProduct };
+  }
+
+  const mediaSources = getMediaSources(product);
+
+  if (mapping) {
+    const updatedProduct = await updateShopifyProduct(session, mapping, product, { supplier, publicationIds, inventoryLocations });
+    if (updatedProduct) {
+      await saveProductMapping(session.shop, supplier, product.id, {
+        shopify_product_id: updatedProduct.id,
+        shopify_variant_id: Object.values(updatedProduct.variantIds)[0],
+        variant_ids: updatedProduct.variantIds,
+        media_sources: mediaSources,
+        // A product only partly written is written again by the next sync
+        content_hash: updatedProduct.complete ? contentHash : null,
+        publish_pending: !updatedProduct.published
+      });
+      await addProductsToCollections(session, [{ productId: updatedProduct.id, collections: product.collections }]);
+      return { action: 'updated', product: updatedProduct };
+    }
+
+    // The product was deleted in Shopify, forget it and create a fresh copy
+    await deleteProductMapping(session.shop, supplier, product.id);
+  }
+
+  const createdProduct = await createShopifyProduct(session, product, { supplier, publicationIds, inventoryLocations });
+  await saveProductMapping(session.shop, supplier, product.id, {
+    shopify_product_id: createdProduct.id,
+    shopify_variant_id: Object.values(createdProduct.variantIds)[0],
+    variant_ids: createdProduct.variantIds,
+    media_sources: mediaSources,
+    content_hash: createdProduct.complete ? contentHash : null,
+    publish_pending: !createdProduct.published
+  });
+  await addProductsToCollections(session, [{ productId: createdProduct.id, collections: product.collections }]);
+
+  return { action: 'created', product: createdProduct };
+};
@@ -0,0 +1,37 @@
+import { db, dbRun, dbAll } from './db.js';
+
+// Products a job deliberately left alone, with the reason
+// Skips are not failures: the product was valid but did not apply to this sync (e.g. the
+// supplier cannot ship it to the job's country, or a partial sync found it not imported yet).
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_job_skips (
+      job_id TEXT NOT NULL,
+      supplier_product_id TEXT NOT NULL,
+      title TEXT,
+      reason TEXT NOT NULL,
+      skipped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (job_id, supplier_product_id)
+    )
+  `);
+});
+
+// Record a skipped product; re-recording it (after a resume) replaces the entry
+export const recordSkip = async (jobId, product, reason) => {
+  try {
+    await dbRun(`
+      INSERT OR REPLACE INTO sync_job_skips (job_id, supplier_product_id, title, reason)
+      VALUES (?, ?, ?, ?)
+    `, jobId, product.id, product.title || null, reason);
+  } catch (dbError) {
+    console.error('Error recording skipped product:', dbError);
+  }
+};
+
+// Skipped products of a job, in the order they were skipped
+export const getJobSkips = async (jobId) => {
+  return dbAll(
+    'SELECT supplier_product_id, title, reason, skipped_at FROM sync_job_skips WHERE job_id = ? ORDER BY rowid ASC',
+    jobId
+  );
+};
@@ -1,17 +1,59 @@
 import { v4 as uuidv4 } from 'uuid';
-import shopify from '../shopify.js';
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
+import { db, dbRun, dbGet, dbAll, addColumnIfMissing } from './db.js';
+import { createShopifyProduct, upsertShopifyProduct, planProductSync, SYNC_MODES, buildProductSetInput, matchVariantIds, getMediaSources } from './shopifyProducts.js';
+import { resolvePublicationIds } from './salesChannels.js';
+import { resolveInventoryLocations } from './inventoryLocations.js';
+import { addProductsToCollections } from './collectionRules.js';
+import { ensureProductMetafieldDefinitions } from './productMetafields.js';
+import { saveProductMapping, markProductsSeen, markProductsPublished } from './productMappings.js';
+import { applyDelistingPolicy } from './delistingPolicy.js';
+import {
+  recordFailure,
+  getJobFailures,
+  getRetryableFailures,
+  getFailuresForRetryJob,
+  assignFailuresToRetryJob,
+  markFailureResolved
+} from './failureLedger.js';
+import {
+  MAX_BULK_FILE_BYTES,
+  PRODUCT_SET_MUTATION,
+  PUBLISHABLE_PUBLISH_MUTATION,
+  writeJsonlFile,
+  removeJsonlFile,
+  stageBulkVariables,
+  runBulkMutation,
+  waitForBulkOperation,
+  readBulkResults
+} from './bulkOperations.js';
+import { loadOfflineSession, isRevokedTokenError, REAUTH_REQUIRED_MESSAGE } from './sessions.js';
+import { getSupplierAdapter, fetchSupplierProducts, DEFAULT_SUPPLIER } from '../suppliers/index.js';
+import { getApiRetryCount } from './graphqlThrottle.js';
+import { recordPreview, getPreviewSummary, getPreviewRows } from './syncPreviews.js';
+import { createProductPreparer } from './productPipeline.js';
+import { recordSkip, getJobSkips } from './skippedProducts.js';
+import { resolveConversion } from './exchangeRates.js';
 
-// Simple in-memory job tracking for single job execution
-let currentJob = null;
-let currentJobController = null;
+// In-memory job tracking: at most one job per shop, keyed by shop domain.
+// Each entry holds the job row plus what is needed to run it:
+//   { job, batchSize, resumeFromOffset, controller, running }
+// Jobs never hold the HTTP request's session; they load the shop's offline session themselves.
+const shopJobs = new Map();
 
-// Database setup
-const db = new sqlite3.Database('./sync_jobs.db');
-const dbRun = promisify(db.run.bind(db));
-const dbGet = promisify(db.get.bind(db));
-const dbAll = promisify(db.all.bind(db));
+// Shops whose job is waiting for a free worker, in arrival order
+const waitingShops = [];
+
+// Shops whose next job is being created or loaded. The slot is taken before the first await, so
+// two requests of a shop cannot both pass the one-job check; it is released once the job is
+// enqueued or creating it failed.
+const reservedShops = new Set();
+
+// Maximum number of jobs processed at the same time across all shops
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.SYNC_MAX_CONCURRENT_JOBS || "3", 10) || 3);
+
+// What to do on boot with jobs a restart left in processing/queued:
+// 'resume' continues them with the shop's offline session, 'interrupt' waits for the merchant
+const RECOVERY_MODE = process.env.SYNC_RECOVERY_MODE === 'interrupt' ? 'interrupt' : 'resume';
 
 // Initialize sync jobs table
 db.serialize(() => {
@@ -24,18 +66,64 @@ db.serialize(() => {
       processed_products INTEGER DEFAULT 0,
       failed_products INTEGER DEFAULT 0,
       current_offset INTEGER DEFAULT 0,
+      supplier TEXT DEFAULT 'amazinge',
+      import_method TEXT DEFAULT 'standard',
+      bulk_operation_id TEXT,
+      retry_of_job_id TEXT,
+      supplier_retries INTEGER DEFAULT 0,
+      api_retries INTEGER DEFAULT 0,
+      dry_run INTEGER DEFAULT 0,
+      sync_mode TEXT DEFAULT 'full',
+      schedule_id TEXT,
+      currency_from TEXT,
+      currency_to TEXT,
+      exchange_rate REAL,
+      exchange_rate_date TEXT,
+      shipping_country TEXT,
+      skipped_products INTEGER DEFAULT 0,
+      created_products INTEGER DEFAULT 0,
+      updated_products INTEGER DEFAULT 0,
+      unchanged_products INTEGER DEFAULT 0,
+      delisted_products INTEGER DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       error_message TEXT
     )
   `);
   
-  // Add current_offset column if it doesn't exist (for existing databases)
-  db.run(`ALTER TABLE sync_jobs ADD COLUMN current_offset INTEGER DEFAULT 0`, (err) => {
-    if (err && !err.message.includes('duplicate column name')) {
-      console.error('Error adding current_offset column:', err);
-    }
-  });
+  // Add columns introduced after the first release (for existing databases)
+  addColumnIfMissing('sync_jobs', 'current_offset INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', "supplier TEXT DEFAULT 'amazinge'");
+  addColumnIfMissing('sync_jobs', "import_method TEXT DEFAULT 'standard'");
+  addColumnIfMissing('sync_jobs', 'bulk_operation_id TEXT');
+  addColumnIfMissing('sync_jobs', 'retry_of_job_id TEXT');
+  addColumnIfMissing('sync_jobs', 'supplier_retries INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'api_retries INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'dry_run INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', "sync_mode TEXT DEFAULT 'full'");
+  addColumnIfMissing('sync_jobs', 'schedule_id TEXT');
+  addColumnIfMissing('sync_jobs', 'currency_from TEXT');
+  addColumnIfMissing('sync_jobs', 'currency_to TEXT');
+  addColumnIfMissing('sync_jobs', 'exchange_rate REAL');
+  addColumnIfMissing('sync_jobs', 'exchange_rate_date TEXT');
+  addColumnIfMissing('sync_jobs', 'shipping_country TEXT');
+  addColumnIfMissing('sync_jobs', 'skipped_products INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'created_products INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'updated_products INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'unchanged_products INTEGER DEFAULT 0');
+  addColumnIfMissing('sync_jobs', 'delisted_products INTEGER DEFAULT 0');
+  
+  // The products of the bulk chunk a job is running, one entry per JSONL line
+  // Kept until the chunk is reconciled, so products the operation created can still be mapped
+  // after a cancel, a failure or a restart.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bulk_chunks (
+      job_id TEXT PRIMARY KEY,
+      bulk_operation_id TEXT NOT NULL,
+      chunk_products TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
 });
 
 // Update job status in database
@@ -45,9 +133,10 @@ const updateJobStatus = async (jobId, updates) => {
   try {
     await dbRun(`UPDATE sync_jobs SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, ...values, jobId);
     
-    // Update in-memory job if it matches
-    if (currentJob && currentJob.id === jobId) {
-      currentJob = { ...currentJob, ...updates };
+    // Update in-memory job if it is tracked
+    const entry = findJobEntry(jobId);
+    if (entry) {
+      entry.job = { ...entry.job, ...updates };
     }
   } catch (error) {
     console.error('Error updating job status:', error);
@@ -74,340 +163,115 @@ const getAllSyncJobs = async (shopDomain) => {
   }
 };
 
-// Improved mock third-party API endpoint with reasonable product counts
-const fetchProductsFromThirdParty = async (offset_value = 0, limit = 100) => {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 200));
+// Stop a job until the merchant re-authorizes the app, keeping its progress for resume
+const pauseForReauth = async (jobId, progress) => {
+  console.warn(`[WARNING] Job ${jobId}: ${REAUTH_REQUIRED_MESSAGE}`);
+  await updateJobStatus(jobId, {
+    ...progress,
+    status: 'reauth_required',
+    error_message: REAUTH_REQUIRED_MESSAGE
+  });
+};
+
+// Retry counters of a running job, continuing from the counts stored on the job
+// Admin API retries are counted per shop by the GraphQL client; a shop runs one job at a time.
+const trackRetries = (shopDomain, jobState) => {
+  let supplierRetries = jobState?.supplier_retries || 0;
+  const apiRetryBaseline = getApiRetryCount(shopDomain) - (jobState?.api_retries || 0);
   
-  const response = await fetch('https://api.amazinge.store/partner/api/product', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-User-Token': 'c19149459f35fc80455c2a7b4c41fdd5',
-      'origin': 'https://www.thwifty.com',
-      'referer': 'https://www.thwifty.com'
+  return {
+    onSupplierRetry: () => {
+      supplierRetries++;
     },
-    body: JSON.stringify({
-      offset_value
+    counts: () => ({
+      supplier_retries: supplierRetries,
+      api_retries: getApiRetryCount(shopDomain) - apiRetryBaseline
     })
-  });
+  };
+};
 
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  console.log('API Response:', data);
-  
-  // Map API products to expected format
-  const products = data.products ? data.products.map(apiProduct => ({
-    id: `third-party-${apiProduct.id}`,
-    title: apiProduct.title,
-    description: apiProduct.description,
-    sku: apiProduct.current_variants?.CPU || `SKU-${apiProduct.id}`,
-    price: apiProduct.price_in_usd?.toString() || '0',
-    inventory_quantity: apiProduct.in_stock || 0,
-    category: apiProduct.brand || 'Electronics',
-    tags: apiProduct.features ? apiProduct.features.slice(0, 3).map(feature => 
-      feature.split(' ').slice(0, 2).join(' ').toLowerCase()
-    ) : ['imported'],
-    vendor: apiProduct.brand || 'Third Party Supplier',
-    weight: apiProduct.weight_in_grams ? apiProduct.weight_in_grams / 1000 : 1, // Convert to kg
-    weight_unit: 'kg',
-    images: apiProduct.image_urls ? apiProduct.image_urls.split(',').map(url => url.trim()) : [apiProduct.main_image],
-    main_image: apiProduct.main_image
-  })) : [];
+// Created/updated/unchanged counters of a running job, continuing from the counts stored on the job
+const trackActions = (jobState) => {
+  const counts = {
+    created: jobState?.created_products || 0,
+    updated: jobState?.updated_products || 0,
+    unchanged: jobState?.unchanged_products || 0
+  };
   
   return {
-    products,
-    total: data.total || products.length,
-    offset_value: data.next_offset_value,
-    limit,
-    hasMore: data.has_more || false
+    record: (action, count = 1) => {
+      if (action in counts) {
+        counts[action] += count;
+      }
+    },
+    counts: () => ({
+      created_products: counts.created,
+      updated_products: counts.updated,
+      unchanged_products: counts.unchanged
+    })
   };
 };
 
-// Simplified Shopify product creation with better error handling
-const createShopifyProduct = async (session, product) => {
+// Apply the shop's delisting policy at the end of a completed full sync
+// A run that saw no products at all is treated as a feed outage and does not count as a miss.
+// Neither does a run of an adapter that narrows its feed to the job's shipping country: products
+// only sold elsewhere are missing from it without having left the supplier's catalog.
+const delistMissingProducts = async (session, jobId, supplier, seenCount, shippingCountry = null) => {
+  if (seenCount === 0) {
+    console.warn(`[WARNING] Job ${jobId}: The supplier feed was empty, not counting missing products`);
+    return 0;
+  }
+  if (shippingCountry && supplier.scopesByCountry) {
+    console.log(`[DEBUG] Job ${jobId}: Feed of ${supplier.name} was scoped to ${shippingCountry}, not counting missing products`);
+    return 0;
+  }
+  
   try {
-    console.log(`[DEBUG] Creating Shopify GraphQL client for shop: ${session.shop}`);
-    const client = new shopify.api.clients.Graphql({ session });
-    
-    
-    const onlineStoreId = "gid://shopify/Publication/168777810076"; //  onlineStoreSalesChannel?.node.id;
-    console.log(`[DEBUG] Online Store sales channel ID: ${onlineStoreId}`);
-    
-    // Create the product without variants
-    const createProductMutation = `
-      mutation productCreate($input: ProductInput!, $media: [CreateMediaInput!]) {
-        productCreate(input: $input, media: $media) {
-          product {
-            id
-            title
-            handle
-            media(first: 10) {
-              edges {
-                node {
-                  id
-                  ... on MediaImage {
-                    image {
-                      id
-                      url
-                      altText
-                    }
-                  }
-                }
-              }
-            }
-            variants(first: 1) {
-              edges {
-                node {
-                  id
-                  sku
-                  price
-                }
-              }
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-    
-    // Product input without variants (variants are not allowed in ProductInput)
-    const productInput = {
-      title: product.title,
-      descriptionHtml: product.description,
-      vendor: product.vendor,
-      productType: product.category,
-      tags: product.tags
-    };
-
-    // Prepare media input for images
-    const mediaInput = product.images ? product.images.map(imageUrl => ({
-      originalSource: imageUrl,
-      alt: product.title,
-      mediaContentType: 'IMAGE'
-    })) : [];
-    
-    console.log(`[DEBUG] Creating product with input:`, productInput);
-    console.log(`[DEBUG] Media input:`, mediaInput);
-    
-    const result = await client.request(createProductMutation, {
-      variables: { 
-        input: productInput,
-        media: mediaInput.length > 0 ? mediaInput : undefined
-      }
-    });
-    
-    console.log(`[DEBUG] Product creation result:`, result);
-    
-    if (result.data.productCreate.userErrors.length > 0) {
-      const error = result.data.productCreate.userErrors[0];
-      throw new Error(`Shopify API error: ${error.message} (field: ${error.field})`);
-    }
-    
-    const createdProduct = result.data.productCreate.product;
-    
-    // Now update the default variant with price and other properties
-    if (createdProduct.variants.edges.length > 0) {
-      const defaultVariantId = createdProduct.variants.edges[0].node.id;
-      
-      const updateVariantMutation = `
-        mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-            productVariants {
-              id
-              price
-              sku
-              inventoryQuantity
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-        }
-      `;
-      
-      const variantInput = {
-        id: defaultVariantId,
-        price: product.price,
-        inventoryItem: {
-          sku: product.sku,
-          // tracked: true
-        }
-      };
-      
-      console.log(`[DEBUG] Updating variant with input:`, variantInput);
-      
-      const variantResult = await client.request(updateVariantMutation, {
-        variables: { 
-          productId: createdProduct.id,
-          variants: [variantInput]
-        }
-      });
-      
-      console.log(`[DEBUG] Variant update result:`, variantResult);
-      
-      if (variantResult.data.productVariantsBulkUpdate.userErrors.length > 0) {
-        const error = variantResult.data.productVariantsBulkUpdate.userErrors[0];
-        console.warn(`[WARNING] Variant update failed: ${error.message} (field: ${error.field})`);
-        // Don't throw here as the product was created successfully
-      } else {
-        // Handle inventory quantity separately if variant update was successful
-        const inventoryQuantity = product.inventory_quantity || 15;
-        if (inventoryQuantity > 0) {
-          try {
-            const updatedVariant = variantResult.data.productVariantsBulkUpdate.productVariants[0];
-            
-            // Get inventory item ID from the updated variant
-            const inventoryItemQuery = `
-              query getInventoryItem($variantId: ID!) {
-                productVariant(id: $variantId) {
-                  inventoryItem {
-                    id
-                    inventoryLevels(first: 1) {
-                      nodes {
-                        id
-                        location {
-                          id
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            `;
-            
-            const inventoryItemResult = await client.request(inventoryItemQuery, {
-              variables: { variantId: updatedVariant.id }
-            });
-            
-            const inventoryItem = inventoryItemResult.data.productVariant.inventoryItem;
-            if (inventoryItem && inventoryItem.inventoryLevels.nodes.length > 0) {
-              const inventoryLevelId = inventoryItem.inventoryLevels.nodes[0].id;
-              
-              // Set inventory quantity
-              const inventoryMutation = `
-                mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
-                  inventorySetQuantities(input: $input) {
-                    inventoryAdjustmentGroup {
-                      id
-                    }
-                    userErrors {
-                      field
-                      message
-                    }
-                  }
-                }
-              `;
-              
-              const inventoryInput = {
-                reason: "correction",
-                name: "available",
-                ignoreCompareQuantity: true,
-                quantities: [
-                  {
-                    inventoryLevelId: inventoryLevelId,
-                    quantity: inventoryQuantity
-                  }
-                ]
-              };
-              
-              const inventoryResult = await client.request(inventoryMutation, {
-                variables: { input: inventoryInput }
-              });
-              
-              if (inventoryResult.data.inventorySetQuantities.userErrors.length > 0) {
-                const inventoryError = inventoryResult.data.inventorySetQuantities.userErrors[0];
-                console.warn(`[WARNING] Inventory update failed: ${inventoryError.message} (field: ${inventoryError.field})`);
-              } else {
-                console.log(`[SUCCESS] Set inventory quantity to ${inventoryQuantity} for variant ${updatedVariant.id}`);
-              }
-            }
-          } catch (inventoryError) {
-            console.warn(`[WARNING] Failed to set inventory quantity: ${inventoryError.message}`);
-          }
-        }
-      }
-    }
-    
-    // Publish the product to the Online Store sales channel
-    if (onlineStoreId) {
-      try {
-        console.log(`[DEBUG] Publishing product ${createdProduct.id} to Online Store sales channel...`);
-        
-        const publishProductMutation = `
-          mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
-            publishablePublish(id: $id, input: $input) {
-              publishable {
-                ... on Product {
-                  id
-                  title
-                  publishedAt
-                }
-              }
-              shop {
-                id
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `;
-        
-        const publishResult = await client.request(publishProductMutation, {
-          variables: {
-            id: createdProduct.id,
-            input: [
-              {
-                publicationId: onlineStoreId,
-                publishDate: new Date().toISOString()
-              }
-            ]
-          }
-        });
-        
-        console.log(`[DEBUG] Product publish result:`, publishResult);
-        
-        if (publishResult.data.publishablePublish.userErrors.length > 0) {
-          const publishError = publishResult.data.publishablePublish.userErrors[0];
-          console.warn(`[WARNING] Product publish failed: ${publishError.message} (field: ${publishError.field})`);
-        } else {
-          console.log(`[SUCCESS] Product ${createdProduct.id} published to Online Store successfully`);
-        }
-        
-      } catch (publishError) {
-        console.warn(`[WARNING] Failed to publish product to Online Store: ${publishError.message}`);
-        // Don't throw here as the product was created successfully
-      }
-    }
-    
-    console.log(`[SUCCESS] Created product ${createdProduct.id} with ${createdProduct.media.edges.length} media items`);
-    
-    return createdProduct;
-    
+    return await applyDelistingPolicy(session, jobId, supplier.name);
   } catch (error) {
-    console.error(`[ERROR] Failed to create Shopify product:`, error);
-    throw new Error(`Product creation failed: ${error.message}`);
+    // The products were synced, don't fail the job over the cleanup
+    console.warn(`[WARNING] Job ${jobId}: Failed to apply the delisting policy: ${error.message}`);
+    return 0;
   }
 };
 
+// The currency conversion of a job
+// A resumed job keeps the rate it recorded when it started, so all its prices use one rate.
+const getJobConversion = async (jobId, session, supplier, jobState) => {
+  if (jobState?.exchange_rate) {
+    return {
+      from: jobState.currency_from,
+      to: jobState.currency_to,
+      rate: jobState.exchange_rate,
+      effectiveDate: jobState.exchange_rate_date
+    };
+  }
+  
+  const conversion = await resolveConversion(session, supplier.currency || 'USD');
+  await updateJobStatus(jobId, {
+    currency_from: conversion.from,
+    currency_to: conversion.to,
+    exchange_rate: conversion.rate,
+    exchange_rate_date: conversion.effectiveDate
+  });
+  console.log(`[DEBUG] Job ${jobId}: Converting prices ${conversion.from} -> ${conversion.to} at ${conversion.rate}`);
+  
+  return conversion;
+};
+
 // Optimized job processing function with better error handling and debugging
-const processJob = async (jobId, session, batchSize = 50, resumeFromOffset = null) => {
-  console.log(`[DEBUG] Starting sync job ${jobId} with batch size ${batchSize}`);
-  console.log(`[DEBUG] Session details:`, { shop: session?.shop, accessToken: session?.accessToken ? 'present' : 'missing' });
+const processJob = async (jobId, shopDomain, batchSize = 50, resumeFromOffset = null) => {
+  console.log(`[DEBUG] Starting sync job ${jobId} for ${shopDomain} with batch size ${batchSize}`);
+  let retries = null;
+  let actions = null;
   
   try {
-    // Validate session first
-    if (!session || !session.shop || !session.accessToken) {
-      throw new Error('Invalid session - missing shop or accessToken');
+    // Load the shop's offline session; jobs can outlive any request's session
+    let session = await loadOfflineSession(shopDomain);
+    console.log(`[DEBUG] Offline session details:`, { shop: session?.shop, accessToken: session?.accessToken ? 'present' : 'missing' });
+    if (!session) {
+      await pauseForReauth(jobId, {});
+      return;
     }
     
     await updateJobStatus(jobId, { status: 'processing' });
@@ -417,15 +281,45 @@ const processJob = async (jobId, session, batchSize = 50, resumeFromOffset = nul
     const currentJobState = await getJobStatus(jobId);
     let processedProducts = currentJobState?.processed_products || 0;
     let failedProducts = currentJobState?.failed_products || 0;
-    let offset_value = resumeFromOffset !== null ? resumeFromOffset : (currentJobState?.current_offset || 0);
+    let skippedProducts = currentJobState?.skipped_products || 0;
+    let cursor = resumeFromOffset !== null ? resumeFromOffset : (currentJobState?.current_offset || 0);
+    retries = trackRetries(shopDomain, currentJobState);
+    actions = trackActions(currentJobState);
     
-    console.log(`[DEBUG] Job ${jobId}: Resuming from offset ${offset_value}, processed: ${processedProducts}, failed: ${failedProducts}`);
+    // Resolve the supplier adapter this job was started with
+    const supplier = getSupplierAdapter(currentJobState?.supplier);
+    const syncMode = currentJobState?.sync_mode || 'full';
+    const shippingCountry = currentJobState?.shipping_country || null;
+    console.log(`[DEBUG] Job ${jobId}: Using supplier adapter ${supplier.name} in ${syncMode} mode`);
+    
+    // Sales channels new products are published to; only full syncs create products
+    const publicationIds = syncMode === 'full' && !currentJobState?.dry_run ? await resolvePublicationIds(session) : [];
+    // Full syncs write supplier metafields, which need their definitions first
+    if (syncMode === 'full' && !currentJobState?.dry_run) {
+      await ensureProductMetafieldDefinitions(session);
+    }
+    // Locations supplier stock is set at; price-only syncs leave inventory alone
+    const inventoryLocations = syncMode !== 'price-only' && !currentJobState?.dry_run ? await resolveInventoryLocations(session) : null;
+    // Inventory-only syncs write nothing but stock, so without a location they could only report
+    // products as updated that were not
+    if (syncMode === 'inventory-only' && !currentJobState?.dry_run && !inventoryLocations) {
+      throw new Error('No inventory locations: the shop has no location to set supplier stock at');
+    }
+    
+    // Retry jobs reprocess the failure ledger of their parent job instead of the supplier feed;
+    // the ledger already holds prepared products
+    if (currentJobState?.retry_of_job_id) {
+      await processRetryJob(jobId, shopDomain, supplier, { cursor, processedProducts, failedProducts, skippedProducts, retries, actions, syncMode, shippingCountry, publicationIds, inventoryLocations });
+      return;
+    }
+    
+    console.log(`[DEBUG] Job ${jobId}: Resuming from cursor ${cursor}, processed: ${processedProducts}, failed: ${failedProducts}`);
     
     // Get total products count - fetch a batch to get accurate total (only if not resuming or total not set)
     let totalProducts = currentJobState?.total_products;
     if (!totalProducts || totalProducts === 0) {
       console.log(`[DEBUG] Job ${jobId}: Fetching total products count...`);
-      const initialBatch = await fetchProductsFromThirdParty(0, batchSize);
+      const initialBatch = await fetchSupplierProducts(supplier, 0, batchSize, { onRetry: retries.onSupplierRetry, country: shippingCountry });
       totalProducts = initialBatch.total && initialBatch.total > initialBatch.products.length ? initialBatch.total : null;
       console.log(`[DEBUG] Job ${jobId}: API returned total: ${initialBatch.total}, using: ${totalProducts || 'unknown - will update as we process'}`);
       
@@ -435,65 +329,126 @@ const processJob = async (jobId, session, batchSize = 50, resumeFromOffset = nul
       });
     }
     
+    // Currency conversion, pricing and other shop settings applied to every product of this job;
+    // inventory-only syncs never write prices, so they need no exchange rate
+    const conversion = syncMode === 'inventory-only' ? null : await getJobConversion(jobId, session, supplier, currentJobState);
+    const prepareProduct = await createProductPreparer(shopDomain, { conversion });
+    
+    // Dry runs only record what the sync would do
+    if (currentJobState?.dry_run) {
+      await processDryRunJob(jobId, shopDomain, supplier, batchSize, { cursor, processedProducts, failedProducts, skippedProducts, retries, actions, syncMode, shippingCountry, prepareProduct });
+      return;
+    }
+    
+    // Bulk jobs import through Shopify bulk operations instead of per-product mutations
+    if (currentJobState?.import_method === 'bulk') {
+      await processBulkJob(jobId, shopDomain, supplier, batchSize, { cursor, processedProducts, failedProducts, skippedProducts, retries, actions, shippingCountry, publicationIds, inventoryLocations, prepareProduct });
+      return;
+    }
+    
     let consecutiveErrors = 0;
     const maxConsecutiveErrors = 50; // Reduced for better error detection
     
-    while (currentJob && currentJob.id === jobId && currentJob.status === 'processing') {
-      console.log(`[DEBUG] Job ${jobId}: Processing batch at offset ${offset_value}`);
+    const getJob = () => findJobEntry(jobId)?.job;
+    
+    while (getJob()?.status === 'processing') {
+      console.log(`[DEBUG] Job ${jobId}: Processing batch at cursor ${cursor}`);
       
-      // Fetch data for current offset
-      const batch = await fetchProductsFromThirdParty(offset_value, batchSize);
+      // Checkpoint: reload the offline session so a re-installed app or rotated token is picked up
+      session = await loadOfflineSession(shopDomain);
+      if (!session) {
+        await pauseForReauth(jobId, {
+          processed_products: processedProducts,
+          failed_products: failedProducts,
+          skipped_products: skippedProducts,
+          ...retries.counts(),
+          ...actions.counts(),
+          current_offset: cursor
+        });
+        return;
+      }
+      
+      // Fetch data for current cursor
+      const batch = await fetchSupplierProducts(supplier, cursor, batchSize, { onRetry: retries.onSupplierRetry, country: shippingCountry });
       
       if (!batch.products || batch.products.length === 0) {
         console.log(`[DEBUG] Job ${jobId}: No more products to process`);
         break;
       }
       
-      console.log(`[DEBUG] Job ${jobId}: Processing batch ${offset_value} (${batch.products.length} products)`);
+      console.log(`[DEBUG] Job ${jobId}: Processing batch ${cursor} (${batch.products.length} products)`);
       
       // Process products sequentially to avoid overwhelming the API
-      for (const product of batch.products) {
+      for (const product of batch.products.map(prepareProduct)) {
         // Check if job was cancelled or paused
-        if (!currentJob || currentJob.id !== jobId) {
+        const job = getJob();
+        if (!job) {
           console.log(`[DEBUG] Job ${jobId}: Job reference lost, stopping processing`);
           return;
         }
         
-        if (currentJob.status === 'cancelled') {
+        if (job.status === 'cancelled') {
           console.log(`[DEBUG] Job ${jobId}: Job was cancelled, stopping processing`);
           return;
         }
         
-        if (currentJob.status === 'paused') {
+        if (job.status === 'paused') {
           console.log(`[DEBUG] Job ${jobId}: Job was paused, stopping processing`);
           // Update final state before pausing
           await updateJobStatus(jobId, { 
             processed_products: processedProducts,
             failed_products: failedProducts,
-            current_offset: offset_value,
+            skipped_products: skippedProducts,
+            ...retries.counts(),
+            ...actions.counts(),
+            current_offset: cursor,
             status: 'paused'
           });
           return;
         }
         
         try {
-          console.log(`[DEBUG] Job ${jobId}: Creating product ${product.id} (${product.title})`);
-          await createShopifyProduct(session, product);
-          processedProducts++;
+          console.log(`[DEBUG] Job ${jobId}: Syncing product ${product.id} (${product.title})`);
+          const { action, reason } = await upsertShopifyProduct(session, product, supplier.name, { mode: syncMode, shippingCountry, publicationIds, inventoryLocations });
           consecutiveErrors = 0; // Reset consecutive error count on success
-          console.log(`[DEBUG] Job ${jobId}: Successfully created product ${product.id}`);
+          if (action === 'skipped') {
+            await recordSkip(jobId, product, reason);
+            skippedProducts++;
+            console.log(`[DEBUG] Job ${jobId}: Skipped product ${product.id}: ${reason}`);
+          } else {
+            processedProducts++;
+            actions.record(action);
+            console.log(`[DEBUG] Job ${jobId}: ${action === 'unchanged' ? 'Unchanged' : `Successfully ${action}`} product ${product.id}`);
+          }
           
           // Update progress every 2 products for better tracking
           if (processedProducts % 2 === 0) {
             await updateJobStatus(jobId, { 
               processed_products: processedProducts,
-              failed_products: failedProducts 
+              failed_products: failedProducts,
+              skipped_products: skippedProducts,
+              ...retries.counts(),
+              ...actions.counts()
             });
           }
           
         } catch (error) {
-          console.error(`[ERROR] Job ${jobId}: Failed to create product ${product.id}:`, error.message);
+          // A revoked token fails every remaining product, stop instead of counting failures
+          if (isRevokedTokenError(error)) {
+            await pauseForReauth(jobId, {
+              processed_products: processedProducts,
+              failed_products: failedProducts,
+              skipped_products: skippedProducts,
+              ...retries.counts(),
+              ...actions.counts(),
+              current_offset: cursor
+            });
+            return;
+          }
+          
+          console.error(`[ERROR] Job ${jobId}: Failed to sync product ${product.id}:`, error.message);
           console.error(`[ERROR] Job ${jobId}: Full error:`, error);
+          await recordFailure(jobId, shopDomain, product, cursor, error);
           failedProducts++;
           consecutiveErrors++;
           
@@ -503,16 +458,23 @@ const processJob = async (jobId, session, batchSize = 50, resumeFromOffset = nul
           }
         }
         
-        // Rate limiting - 2 requests per second to be safe
-        await new Promise(resolve => setTimeout(resolve, 500));
+        // No fixed delay between products: the GraphQL client waits for the shop's query budget
       }
       
       // Update progress after each batch
       await updateJobStatus(jobId, { 
         processed_products: processedProducts,
-        failed_products: failedProducts 
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts()
       });
       
+      // Products still in the feed are not delisted at the end of a full sync
+      if (syncMode === 'full') {
+        await markProductsSeen(shopDomain, supplier.name, batch.products.map(product => product.id), jobId);
+      }
+      
       // Log progress
       if (totalProducts && totalProducts > 0) {
         const progress = ((processedProducts + failedProducts) / totalProducts * 100).toFixed(1);
@@ -521,112 +483,863 @@ const processJob = async (jobId, session, batchSize = 50, resumeFromOffset = nul
         console.log(`[DEBUG] Job ${jobId}: Progress unknown - ${processedProducts} processed, ${failedProducts} failed`);
       }
       
-      // Check if we have a next offset value to continue
-      if (batch.offset_value === null || batch.offset_value === undefined) {
-        console.log(`[DEBUG] Job ${jobId}: No more offset_value, all batches processed`);
+      // Check if the supplier reported a next cursor to continue
+      if (batch.nextCursor === null || batch.nextCursor === undefined) {
+        console.log(`[DEBUG] Job ${jobId}: No next cursor, all batches processed`);
         break;
       }
       
-      offset_value = batch.offset_value;
+      cursor = batch.nextCursor;
       
-      // Update current offset in database with next_offset_value for pause/resume functionality
-      await updateJobStatus(jobId, { current_offset: offset_value });
+      // Update current offset in database with the next cursor for pause/resume functionality
+      await updateJobStatus(jobId, { current_offset: cursor });
+    }
+    
+    // A pause requested between batches stops the loop without finishing the job
+    if (getJob()?.status === 'paused') {
+      console.log(`[DEBUG] Job ${jobId}: Job was paused, stopping processing`);
+      await updateJobStatus(jobId, { 
+        processed_products: processedProducts,
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts(),
+        current_offset: cursor,
+        status: 'paused'
+      });
+      return;
     }
     
     // Final status update
-    if (currentJob && currentJob.id === jobId) {
+    if (getJob()?.status === 'processing') {
+      const delistedProducts = syncMode === 'full'
+        ? await delistMissingProducts(session, jobId, supplier, processedProducts + failedProducts + skippedProducts, shippingCountry)
+        : 0;
       await updateJobStatus(jobId, { 
         status: 'completed',
+        delisted_products: delistedProducts,
         processed_products: processedProducts,
-        failed_products: failedProducts 
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts()
       });
       
-      console.log(`[SUCCESS] Job ${jobId} completed successfully: ${processedProducts} processed, ${failedProducts} failed`);
-      currentJob = null;
-      currentJobController = null;
+      console.log(`[SUCCESS] Job ${jobId} completed successfully: ${processedProducts} processed, ${failedProducts} failed, ${skippedProducts} skipped`);
     }
     
   } catch (error) {
+    // A token revoked during setup (sales channels, locations, currency, bulk staging) or in a
+    // bulk, dry run or retry job waits for re-authorization like one revoked mid-batch; the
+    // stored offset and counts are those of the last checkpoint
+    if (isRevokedTokenError(error)) {
+      await pauseForReauth(jobId, { ...retries?.counts(), ...actions?.counts() });
+      return;
+    }
+    
     console.error(`[ERROR] Job ${jobId} failed:`, error.message);
     console.error(`[ERROR] Job ${jobId} stack trace:`, error.stack);
     await updateJobStatus(jobId, { 
       status: 'failed',
-      error_message: error.message
+      error_message: error.message,
+      ...retries?.counts(),
+      ...actions?.counts()
+    });
+  }
+};
+
+// Save bulk productSet results as product mappings
+// Returns the processed/updated/failed counts, the ids of newly created products, the ids of the
+// products to publish (new ones and ones an earlier publish missed, when the shop has sales
+// channels) and the collections each synced product belongs in.
+const reconcileBulkResults = async (jobId, shopDomain, supplierName, chunkProducts, results, { publish = false } = {}) => {
+  let processed = 0;
+  let updated = 0;
+  let failed = 0;
+  const createdProductIds = [];
+  const publishProductIds = [];
+  const collectionEntries = [];
+  const reconciledLines = new Set();
+  
+  for (const result of results) {
+    const entry = chunkProducts[result.__lineNumber];
+    if (!entry) continue;
+    reconciledLines.add(result.__lineNumber);
+    
+    const payload = result.data?.productSet;
+    if (!payload?.product || payload.userErrors?.length > 0) {
+      const userErrors = payload?.userErrors?.length > 0 ? payload.userErrors : null;
+      const message = userErrors?.[0]?.message || result.errors?.[0]?.message || 'No product returned';
+      console.error(`[ERROR] Bulk import of product ${entry.product.id} failed: ${message}`);
+      await recordFailure(jobId, shopDomain, entry.product, entry.sourceOffset, Object.assign(new Error(message), { userErrors }));
+      failed++;
+      continue;
+    }
+    
+    const variantIds = matchVariantIds(entry.product, payload.product.variants.nodes);
+    const publishPending = publish && (!entry.mapping || !!entry.mapping.publish_pending);
+    await saveProductMapping(shopDomain, supplierName, entry.product.id, {
+      shopify_product_id: payload.product.id,
+      shopify_variant_id: Object.values(variantIds)[0],
+      variant_ids: variantIds,
+      media_sources: getMediaSources(entry.product),
+      content_hash: entry.contentHash,
+      publish_pending: publishPending
+    });
+    
+    if (publishPending) {
+      publishProductIds.push(payload.product.id);
+    }
+    collectionEntries.push({ productId: payload.product.id, collections: entry.product.collections });
+    if (entry.mapping) {
+      updated++;
+    } else {
+      createdProductIds.push(payload.product.id);
+    }
+    processed++;
+  }
+  
+  // Lines without a result line never ran
+  for (const [lineNumber, entry] of chunkProducts.entries()) {
+    if (!reconciledLines.has(lineNumber)) {
+      await recordFailure(jobId, shopDomain, entry.product, entry.sourceOffset, new Error('No result returned by the bulk operation'));
+      failed++;
+    }
+  }
+  
+  return { processed, updated, failed, createdProductIds, publishProductIds, collectionEntries };
+};
+
+// Map the products a bulk operation created or updated before it was cancelled, failed or stopped
+// The chunk is not counted: a resumed job runs it again, and the mappings make that run update
+// these products instead of creating them a second time. Without a content hash, that run
+// writes them in full.
+const mapPartialBulkResults = async (shopDomain, supplierName, chunkProducts, results) => {
+  let mapped = 0;
+  for (const result of results) {
+    const entry = chunkProducts[result.__lineNumber];
+    const product = result.data?.productSet?.product;
+    if (!entry || !product) continue;
+    
+    const variantIds = matchVariantIds(entry.product, product.variants.nodes);
+    await saveProductMapping(shopDomain, supplierName, entry.product.id, {
+      shopify_product_id: product.id,
+      shopify_variant_id: Object.values(variantIds)[0],
+      variant_ids: variantIds,
+      media_sources: getMediaSources(entry.product),
+      content_hash: null,
+      publish_pending: !entry.mapping || !!entry.mapping.publish_pending
+    });
+    mapped++;
+  }
+  return mapped;
+};
+
+// Map what the bulk chunk a job was running when it last stopped wrote, then forget the chunk
+// Waits for the operation to end first, as a shop runs one bulk mutation at a time.
+const reconcileStoppedBulkChunk = async (session, jobId, supplierName) => {
+  const chunk = await dbGet('SELECT * FROM bulk_chunks WHERE job_id = ?', jobId);
+  if (!chunk) return;
+  
+  const operation = await waitForBulkOperation(session, chunk.bulk_operation_id);
+  const results = await readBulkResults(operation.url || operation.partialDataUrl);
+  const mapped = await mapPartialBulkResults(session.shop, supplierName, JSON.parse(chunk.chunk_products), results);
+  await dbRun('DELETE FROM bulk_chunks WHERE job_id = ?', jobId);
+  console.log(`[DEBUG] Job ${jobId}: Mapped ${mapped} products of stopped bulk operation ${chunk.bulk_operation_id} (${operation.status})`);
+};
+
+// Publish products to the shop's sales channels with a second bulk mutation
+// Products that could not be published stay publish_pending, so the next full sync writes and
+// publishes them again.
+const publishBulkProducts = async (session, jobId, chunkNumber, productIds, publicationIds, shouldCancel) => {
+  const filePath = await writeJsonlFile(`sync-${jobId}-${chunkNumber}-publish`, productIds.map(id => ({
+    id,
+    input: publicationIds.map(publicationId => ({ publicationId }))
+  })));
+  
+  let publishedIds = [];
+  try {
+    const stagedUploadPath = await stageBulkVariables(session, filePath);
+    const bulkOperationId = await runBulkMutation(session, PUBLISHABLE_PUBLISH_MUTATION, stagedUploadPath);
+    const operation = await waitForBulkOperation(session, bulkOperationId, { shouldCancel });
+    if (operation.status !== 'COMPLETED') {
+      console.warn(`[WARNING] Job ${jobId}: Bulk publish ${bulkOperationId} ended with ${operation.status}`);
+    }
+    
+    const published = new Set();
+    for (const result of await readBulkResults(operation.url || operation.partialDataUrl)) {
+      if (result.data?.publishablePublish && result.data.publishablePublish.userErrors.length === 0) {
+        published.add(result.__lineNumber);
+      }
+    }
+    publishedIds = productIds.filter((id, lineNumber) => published.has(lineNumber));
+  } catch (error) {
+    // Don't fail the job, the products were imported successfully
+    console.warn(`[WARNING] Job ${jobId}: Failed to publish bulk imported products: ${error.message}`);
+  } finally {
+    await removeJsonlFile(filePath);
+  }
+  
+  await markProductsPublished(session.shop, publishedIds);
+  if (publishedIds.length < productIds.length) {
+    console.warn(`[WARNING] Job ${jobId}: ${productIds.length - publishedIds.length} bulk imported products were not published`);
+  }
+};
+
+// Import a job through bulk operations, one staged JSONL chunk at a time
+// Each chunk collects whole supplier pages until it nears Shopify's file size limit, then is
+// uploaded and run with productSet. current_offset only advances once a chunk has been
+// reconciled, so a paused or interrupted bulk job re-runs at most one chunk. The running chunk
+// is stored in bulk_chunks: when its operation is cancelled, fails or is cut off by a restart,
+// the products it did write are mapped from the partial results first, so the re-run updates
+// them instead of creating duplicates.
+const processBulkJob = async (jobId, shopDomain, supplier, batchSize, progress) => {
+  let { cursor, processedProducts, failedProducts, skippedProducts } = progress;
+  const { retries, actions, shippingCountry, publicationIds, inventoryLocations, prepareProduct } = progress;
+  const getJob = () => findJobEntry(jobId)?.job;
+  const isCancelled = () => !getJob() || getJob().status === 'cancelled';
+  let feedExhausted = false;
+  let chunkNumber = 0;
+  
+  while (!feedExhausted && getJob()?.status === 'processing') {
+    // Checkpoint: reload the offline session before every chunk
+    const session = await loadOfflineSession(shopDomain);
+    if (!session) {
+      await pauseForReauth(jobId, {
+        processed_products: processedProducts,
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts(),
+        current_offset: cursor
+      });
+      return;
+    }
+    
+    try {
+      // Products the chunk of a previous run wrote need their mappings before anything is re-run
+      if (chunkNumber === 0) {
+        await reconcileStoppedBulkChunk(session, jobId, supplier.name);
+      }
+      
+      // Collect supplier pages into the next chunk
+      const lines = [];
+      const chunkProducts = [];
+      const seenProductIds = [];
+      let chunkBytes = 0;
+      let largestPageBytes = 0;
+      let nextCursor = cursor;
+      
+      while (true) {
+        const batch = await fetchSupplierProducts(supplier, nextCursor, batchSize, { onRetry: retries.onSupplierRetry, country: shippingCountry });
+        let pageBytes = 0;
+        
+        for (const product of batch.products.map(prepareProduct)) {
+          seenProductIds.push(product.id);
+          try {
+            const plan = await planProductSync(shopDomain, product, supplier.name, { shippingCountry });
+            if (plan.action === 'reject') {
+              throw new Error(`Product rejected: ${plan.reason}`);
+            }
+            if (plan.action === 'skip') {
+              await recordSkip(jobId, product, plan.reason);
+              skippedProducts++;
+              continue;
+            }
+            if (plan.action === 'unchanged') {
+              actions.record('unchanged');
+              processedProducts++;
+              continue;
+            }
+            
+            const { mapping, contentHash } = plan;
+            const mediaChanged = !mapping || JSON.stringify(getMediaSources(product)) !== JSON.stringify(mapping.media_sources);
+            const line = { input: buildProductSetInput(product, mapping, { supplier: supplier.name, inventoryLocations, includeMedia: mediaChanged }) };
+            pageBytes += Buffer.byteLength(JSON.stringify(line)) + 1;
+            lines.push(line);
+            chunkProducts.push({ product, mapping, contentHash, sourceOffset: nextCursor });
+          } catch (error) {
+            console.error(`[ERROR] Job ${jobId}: Failed to prepare product ${product.id} for bulk import:`, error.message);
+            await recordFailure(jobId, shopDomain, product, nextCursor, error);
+            failedProducts++;
+          }
+        }
+        
+        chunkBytes += pageBytes;
+        largestPageBytes = Math.max(largestPageBytes, pageBytes);
+        
+        if (batch.products.length === 0 || batch.nextCursor === null || batch.nextCursor === undefined) {
+          feedExhausted = true;
+          break;
+        }
+        
+        nextCursor = batch.nextCursor;
+        
+        // Stop before the next page could push the file over the limit
+        if (chunkBytes + largestPageBytes > MAX_BULK_FILE_BYTES) {
+          break;
+        }
+      }
+      
+      if (lines.length > 0) {
+        console.log(`[DEBUG] Job ${jobId}: Bulk chunk ${chunkNumber} with ${lines.length} products (${chunkBytes} bytes)`);
+        const filePath = await writeJsonlFile(`sync-${jobId}-${chunkNumber}`, lines);
+        
+        try {
+          const stagedUploadPath = await stageBulkVariables(session, filePath);
+          const bulkOperationId = await runBulkMutation(session, PRODUCT_SET_MUTATION, stagedUploadPath);
+          await updateJobStatus(jobId, { bulk_operation_id: bulkOperationId });
+          await dbRun(
+            'INSERT OR REPLACE INTO bulk_chunks (job_id, bulk_operation_id, chunk_products) VALUES (?, ?, ?)',
+            jobId, bulkOperationId, JSON.stringify(chunkProducts)
+          );
+          
+          const operation = await waitForBulkOperation(session, bulkOperationId, { shouldCancel: isCancelled });
+          if (isCancelled() || operation.status !== 'COMPLETED') {
+            await reconcileStoppedBulkChunk(session, jobId, supplier.name);
+            if (isCancelled()) {
+              console.log(`[DEBUG] Job ${jobId}: Job was cancelled, stopping bulk import`);
+              return;
+            }
+            throw new Error(`Bulk operation ${bulkOperationId} ended with ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+          }
+          
+          const results = await readBulkResults(operation.url);
+          const reconciled = await reconcileBulkResults(jobId, shopDomain, supplier.name, chunkProducts, results, { publish: publicationIds.length > 0 });
+          await dbRun('DELETE FROM bulk_chunks WHERE job_id = ?', jobId);
+          processedProducts += reconciled.processed;
+          failedProducts += reconciled.failed;
+          actions.record('created', reconciled.createdProductIds.length);
+          actions.record('updated', reconciled.updated);
+          
+          if (reconciled.publishProductIds.length > 0) {
+            await publishBulkProducts(session, jobId, chunkNumber, reconciled.publishProductIds, publicationIds, isCancelled);
+          }
+          await addProductsToCollections(session, reconciled.collectionEntries);
+        } finally {
+          await removeJsonlFile(filePath);
+        }
+      }
+      
+      // Only after reconciling, so products created by this chunk are marked too
+      await markProductsSeen(shopDomain, supplier.name, seenProductIds, jobId);
+      
+      cursor = nextCursor;
+      chunkNumber++;
+      
+      await updateJobStatus(jobId, {
+        processed_products: processedProducts,
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts(),
+        current_offset: cursor
+      });
+      console.log(`[DEBUG] Job ${jobId}: Bulk progress - ${processedProducts} processed, ${failedProducts} failed`);
+    } catch (error) {
+      if (isRevokedTokenError(error)) {
+        await pauseForReauth(jobId, {
+          processed_products: processedProducts,
+          failed_products: failedProducts,
+          skipped_products: skippedProducts,
+          ...retries.counts(),
+          ...actions.counts(),
+          current_offset: cursor
+        });
+        return;
+      }
+      throw error;
+    }
+  }
+  
+  // A pause requested during a chunk takes effect once the chunk is reconciled
+  if (getJob()?.status === 'paused') {
+    console.log(`[DEBUG] Job ${jobId}: Job was paused, stopping bulk import`);
+    await updateJobStatus(jobId, {
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts(),
+      current_offset: cursor,
+      status: 'paused'
+    });
+    return;
+  }
+  
+  if (getJob()?.status === 'processing') {
+    const session = await loadOfflineSession(shopDomain);
+    const delistedProducts = session
+      ? await delistMissingProducts(session, jobId, supplier, processedProducts + failedProducts + skippedProducts, shippingCountry)
+      : 0;
+    await updateJobStatus(jobId, {
+      status: 'completed',
+      delisted_products: delistedProducts,
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts()
+    });
+    console.log(`[SUCCESS] Bulk job ${jobId} completed successfully: ${processedProducts} processed, ${failedProducts} failed`);
+  }
+};
+
+// Walk the supplier feed and record the planned action for every product
+// No Shopify mutation is made; rejected products count as failed, skipped ones as skipped and
+// everything else as processed.
+// Pause and cancel are honored between pages, so a resumed dry run restarts at a page boundary.
+const processDryRunJob = async (jobId, shopDomain, supplier, batchSize, progress) => {
+  let { cursor, processedProducts, failedProducts, skippedProducts } = progress;
+  const { retries, actions, syncMode, shippingCountry, prepareProduct } = progress;
+  const getJob = () => findJobEntry(jobId)?.job;
+  
+  while (true) {
+    const job = getJob();
+    if (!job || job.status === 'cancelled') {
+      console.log(`[DEBUG] Job ${jobId}: Dry run was cancelled, stopping processing`);
+      return;
+    }
+    
+    if (job.status === 'paused') {
+      console.log(`[DEBUG] Job ${jobId}: Dry run was paused, stopping processing`);
+      await updateJobStatus(jobId, {
+        processed_products: processedProducts,
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts(),
+        current_offset: cursor,
+        status: 'paused'
+      });
+      return;
+    }
+    
+    const batch = await fetchSupplierProducts(supplier, cursor, batchSize, { onRetry: retries.onSupplierRetry, country: shippingCountry });
+    if (!batch.products || batch.products.length === 0) {
+      break;
+    }
+    
+    for (const product of batch.products.map(prepareProduct)) {
+      const plan = await planProductSync(shopDomain, product, supplier.name, { mode: syncMode, shippingCountry });
+      await recordPreview(jobId, product, plan);
+      if (plan.action === 'reject') {
+        failedProducts++;
+      } else if (plan.action === 'skip') {
+        skippedProducts++;
+      } else {
+        processedProducts++;
+      }
+    }
+    
+    await updateJobStatus(jobId, {
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts()
     });
-    currentJob = null;
-    currentJobController = null;
+    
+    if (batch.nextCursor === null || batch.nextCursor === undefined) {
+      break;
+    }
+    
+    cursor = batch.nextCursor;
+    await updateJobStatus(jobId, { current_offset: cursor });
+  }
+  
+  if (getJob()?.status === 'processing') {
+    const summary = await getPreviewSummary(jobId);
+    await updateJobStatus(jobId, {
+      status: 'completed',
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts()
+    });
+    console.log(`[SUCCESS] Dry run ${jobId} completed: ${summary.create} to create, ${summary.update} to update, ${summary.unchanged} unchanged, ${summary.skip} to skip, ${summary.reject} rejected`);
   }
 };
 
-// Start a sync job (only one allowed at a time)
+// Reprocess the failed products a retry job took over from its parent job
+// current_offset is the index into the retried failures, so pause/resume works as usual.
+const processRetryJob = async (jobId, shopDomain, supplier, progress) => {
+  let { processedProducts, failedProducts, skippedProducts } = progress;
+  const { retries, actions, syncMode, shippingCountry, publicationIds, inventoryLocations } = progress;
+  const getJob = () => findJobEntry(jobId)?.job;
+  const failures = await getFailuresForRetryJob(jobId);
+  let index = Number(progress.cursor) || 0;
+  let session = null;
+  
+  while (index < failures.length) {
+    const job = getJob();
+    if (!job || job.status === 'cancelled') {
+      console.log(`[DEBUG] Job ${jobId}: Retry job was cancelled, stopping processing`);
+      return;
+    }
+    
+    if (job.status === 'paused') {
+      console.log(`[DEBUG] Job ${jobId}: Retry job was paused, stopping processing`);
+      await updateJobStatus(jobId, {
+        processed_products: processedProducts,
+        failed_products: failedProducts,
+        skipped_products: skippedProducts,
+        ...retries.counts(),
+        ...actions.counts(),
+        current_offset: index,
+        status: 'paused'
+      });
+      return;
+    }
+    
+    // Checkpoint: reload the offline session at the start of every batch of retries
+    if (!session || index % 50 === 0) {
+      session = await loadOfflineSession(shopDomain);
+      if (!session) {
+        await pauseForReauth(jobId, {
+          processed_products: processedProducts,
+          failed_products: failedProducts,
+          skipped_products: skippedProducts,
+          ...retries.counts(),
+          ...actions.counts(),
+          current_offset: index
+        });
+        return;
+      }
+    }
+    
+    const failure = failures[index];
+    try {
+      console.log(`[DEBUG] Job ${jobId}: Retrying product ${failure.supplier_product_id} (attempt ${failure.attempts + 1})`);
+      const { action, reason } = await upsertShopifyProduct(session, failure.product, supplier.name, { mode: syncMode, shippingCountry, publicationIds, inventoryLocations });
+      await markFailureResolved(failure.id);
+      if (action === 'skipped') {
+        await recordSkip(jobId, failure.product, reason);
+        skippedProducts++;
+      } else {
+        processedProducts++;
+        actions.record(action);
+      }
+    } catch (error) {
+      if (isRevokedTokenError(error)) {
+        await pauseForReauth(jobId, {
+          processed_products: processedProducts,
+          failed_products: failedProducts,
+          skipped_products: skippedProducts,
+          ...retries.counts(),
+          ...actions.counts(),
+          current_offset: index
+        });
+        return;
+      }
+      
+      console.error(`[ERROR] Job ${jobId}: Retry of product ${failure.supplier_product_id} failed:`, error.message);
+      await recordFailure(jobId, shopDomain, failure.product, failure.source_offset, error, failure.attempts + 1);
+      failedProducts++;
+    }
+    
+    index++;
+    await updateJobStatus(jobId, {
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts(),
+      current_offset: index
+    });
+  }
+  
+  if (getJob()?.status === 'processing') {
+    await updateJobStatus(jobId, {
+      status: 'completed',
+      processed_products: processedProducts,
+      failed_products: failedProducts,
+      skipped_products: skippedProducts,
+      ...retries.counts(),
+      ...actions.counts()
+    });
+    console.log(`[SUCCESS] Retry job ${jobId} completed: ${processedProducts} recovered, ${failedProducts} failed again`);
+  }
+};
+
+// Find the in-memory entry of a tracked job
+const findJobEntry = (jobId) => {
+  for (const entry of shopJobs.values()) {
+    if (entry.job.id === jobId) {
+      return entry;
+    }
+  }
+  return null;
+};
+
+const countRunningJobs = () => {
+  let running = 0;
+  for (const entry of shopJobs.values()) {
+    if (entry.running) running++;
+  }
+  return running;
+};
+
+// Start waiting jobs while there are free workers
+const dispatchJobs = () => {
+  while (waitingShops.length > 0 && countRunningJobs() < MAX_CONCURRENT_JOBS) {
+    const shopDomain = waitingShops.shift();
+    const entry = shopJobs.get(shopDomain);
+    if (!entry || entry.running || entry.job.status === 'paused' || entry.job.status === 'cancelled') {
+      continue;
+    }
+    
+    runJob(shopDomain, entry);
+  }
+};
+
+// Run a job on a worker slot and release the slot when it stops
+const runJob = (shopDomain, entry) => {
+  const jobId = entry.job.id;
+  entry.running = true;
+  
+  console.log(`[DEBUG] Starting processJob for ${jobId} with shop: ${shopDomain} (${countRunningJobs()}/${MAX_CONCURRENT_JOBS} workers busy)`);
+  processJob(jobId, shopDomain, entry.batchSize, entry.resumeFromOffset)
+    .catch(error => {
+      console.error(`[ERROR] Error in processJob for ${jobId}:`, error);
+      console.error(`[ERROR] Stack trace:`, error.stack);
+    })
+    .finally(() => {
+      const current = shopJobs.get(shopDomain);
+      if (current && current.job.id === jobId) {
+        current.running = false;
+        // Paused jobs stay tracked so the shop cannot start a second job until it is resumed or cancelled
+        if (current.job.status !== 'paused' && current.job.status !== 'reauth_required') {
+          shopJobs.delete(shopDomain);
+        }
+      }
+      dispatchJobs();
+    });
+};
+
+// Track a job for its shop and hand it to the next free worker
+const enqueueJob = (shopDomain, entry) => {
+  shopJobs.set(shopDomain, entry);
+  waitingShops.push(shopDomain);
+  dispatchJobs();
+};
+
+// Start a sync job (one per shop; jobs beyond the worker cap wait in the queue)
 // Options:
 //   - batchSize: Number of products to process per batch (default: 50, max: 100)
-export const startSyncJob = async (session, options = {}) => {
-  // Check if a job is already running
-  if (currentJob) {
-    throw new Error('A sync job is already running. Please wait for it to complete or cancel it first.');
+//   - supplier: Name of the supplier adapter to import from (default: amazinge)
+//   - importMethod: 'standard' (one product at a time) or 'bulk' (bulk operations, for large catalogs)
+export const startSyncJob = async (shopDomain, options = {}) => {
+  // Check if this shop already has a job running
+  if (shopJobs.has(shopDomain) || reservedShops.has(shopDomain)) {
+    throw new Error('A sync job is already running for this shop. Please wait for it to complete or cancel it first.');
   }
   
+  reservedShops.add(shopDomain);
+  try {
+    return await createSyncJob(shopDomain, options);
+  } finally {
+    reservedShops.delete(shopDomain);
+  }
+};
+
+// Create the job row and queue the job, called with the shop's slot reserved
+const createSyncJob = async (shopDomain, options) => {
   // Validate and set batch size
   const batchSize = options.batchSize || 50;
   if (batchSize < 1 || batchSize > 100) {
     throw new Error('Batch size must be between 1 and 100 products');
   }
   
-  console.log(`[DEBUG] Starting sync job with batch size: ${batchSize}`);
+  // Resolve the supplier adapter up front so unknown names fail before a job is created
+  const supplier = getSupplierAdapter(options.supplier || DEFAULT_SUPPLIER);
+  
+  const importMethod = options.importMethod || 'standard';
+  if (!['standard', 'bulk'].includes(importMethod)) {
+    throw new Error(`Unknown import method: ${importMethod}`);
+  }
+  
+  const syncMode = options.syncMode || 'full';
+  if (!SYNC_MODES.includes(syncMode)) {
+    throw new Error(`Unknown sync mode: ${syncMode}`);
+  }
+  if (syncMode !== 'full' && importMethod === 'bulk') {
+    throw new Error('Bulk import only supports full syncs');
+  }
+  
+  const dryRun = options.dryRun ? 1 : 0;
+  const scheduleId = options.scheduleId || null;
+  const shippingCountry = options.shippingCountry ? String(options.shippingCountry).toUpperCase() : null;
+  
+  console.log(`[DEBUG] Starting sync job with batch size: ${batchSize}, supplier: ${supplier.name}, import method: ${importMethod}, mode: ${syncMode}, dry run: ${!!dryRun}, shipping country: ${shippingCountry || 'any'}`);
   
   const jobId = uuidv4();
-  const shopDomain = session.shop;
   
   // Create job record in database
   try {
     await dbRun(`
-      INSERT INTO sync_jobs (id, shop_domain, status, total_products, processed_products, failed_products, current_offset)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, jobId, shopDomain, 'queued', 0, 0, 0, 0);
+      INSERT INTO sync_jobs (id, shop_domain, status, total_products, processed_products, failed_products, current_offset, supplier, import_method, dry_run, sync_mode, schedule_id, shipping_country)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, jobId, shopDomain, 'queued', 0, 0, 0, 0, supplier.name, importMethod, dryRun, syncMode, scheduleId, shippingCountry);
   } catch (error) {
     console.error('Error creating sync job:', error);
     throw error;
   }
   
-  // Set current job
-  currentJob = {
-    id: jobId,
-    shop_domain: shopDomain,
-    status: 'queued',
-    total_products: 0,
-    processed_products: 0,
-    failed_products: 0,
-    current_offset: 0
-  };
-  
-  // Create abort controller for cancellation
-  currentJobController = new AbortController();
-  
-  // Start processing immediately with debugging
-  console.log(`[DEBUG] Starting processJob for ${jobId} with session shop: ${session?.shop}`);
-  processJob(jobId, session, batchSize).catch(error => {
-    console.error(`[ERROR] Error in processJob for ${jobId}:`, error);
-    console.error(`[ERROR] Stack trace:`, error.stack);
-    currentJob = null;
-    currentJobController = null;
+  enqueueJob(shopDomain, {
+    job: {
+      id: jobId,
+      shop_domain: shopDomain,
+      status: 'queued',
+      total_products: 0,
+      processed_products: 0,
+      failed_products: 0,
+      skipped_products: 0,
+      created_products: 0,
+      updated_products: 0,
+      unchanged_products: 0,
+      current_offset: 0,
+      supplier: supplier.name,
+      import_method: importMethod,
+      supplier_retries: 0,
+      api_retries: 0,
+      dry_run: dryRun,
+      sync_mode: syncMode,
+      schedule_id: scheduleId,
+      shipping_country: shippingCountry
+    },
+    batchSize,
+    resumeFromOffset: null,
+    // Create abort controller for cancellation
+    controller: new AbortController(),
+    running: false
   });
   
   return { jobId };
 };
 
-// Get job status
-export const getSyncJobStatus = async (jobId) => {
-  const dbJob = await getJobStatus(jobId);
+// Get job status, scoped to the requesting shop
+export const getSyncJobStatus = async (jobId, shopDomain) => {
+  // If this is a tracked job, return the in-memory version for real-time updates
+  const entry = findJobEntry(jobId);
+  if (entry && entry.job.shop_domain === shopDomain) {
+    return { job: entry.job };
+  }
   
-  // If this is the current job, return the in-memory version for real-time updates
-  if (currentJob && currentJob.id === jobId) {
-    return { job: currentJob };
+  const dbJob = await getJobStatus(jobId);
+  if (!dbJob || dbJob.shop_domain !== shopDomain) {
+    return { job: null };
   }
   
   return { job: dbJob };
 };
 
+// Summary and rows of a dry run of the shop
+export const getSyncJobPreview = async (jobId, shopDomain) => {
+  const dbJob = await getJobStatus(jobId);
+  if (!dbJob || dbJob.shop_domain !== shopDomain || !dbJob.dry_run) {
+    return { job: null };
+  }
+  
+  const [summary, rows] = await Promise.all([getPreviewSummary(jobId), getPreviewRows(jobId)]);
+  return { job: dbJob, summary, rows };
+};
+
+// Failed products recorded for a job of the shop
+export const getSyncJobFailures = async (jobId, shopDomain) => {
+  const dbJob = await getJobStatus(jobId);
+  if (!dbJob || dbJob.shop_domain !== shopDomain) {
+    return { job: null, failures: [] };
+  }
+  
+  const failures = await getJobFailures(jobId);
+  return { job: dbJob, failures };
+};
+
+// Products a job skipped, e.g. because the supplier does not ship to the job's country
+export const getSyncJobSkips = async (jobId, shopDomain) => {
+  const dbJob = await getJobStatus(jobId);
+  if (!dbJob || dbJob.shop_domain !== shopDomain) {
+    return { job: null, skips: [] };
+  }
+  
+  const skips = await getJobSkips(jobId);
+  return { job: dbJob, skips };
+};
+
+// Start a child job that retries only the products a finished job failed to sync
+export const startRetryFailedJob = async (parentJobId, shopDomain) => {
+  const parentJob = await getJobStatus(parentJobId);
+  if (!parentJob || parentJob.shop_domain !== shopDomain) {
+    return { success: false, error: 'Job not found' };
+  }
+  
+  if (shopJobs.has(shopDomain) || reservedShops.has(shopDomain)) {
+    return { success: false, error: 'A sync job is already running for this shop. Please wait for it to complete or cancel it first.' };
+  }
+  
+  reservedShops.add(shopDomain);
+  try {
+    return await createRetryJob(parentJob, shopDomain);
+  } finally {
+    reservedShops.delete(shopDomain);
+  }
+};
+
+// Create the retry job row and queue the job, called with the shop's slot reserved
+const createRetryJob = async (parentJob, shopDomain) => {
+  const parentJobId = parentJob.id;
+  const failures = await getRetryableFailures(parentJobId);
+  if (failures.length === 0) {
+    return { success: false, error: 'This job has no failed products left to retry' };
+  }
+  
+  const jobId = uuidv4();
+  
+  try {
+    await dbRun(`
+      INSERT INTO sync_jobs (id, shop_domain, status, total_products, processed_products, failed_products, current_offset, supplier, import_method, retry_of_job_id, sync_mode, shipping_country)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, jobId, shopDomain, 'queued', failures.length, 0, 0, 0, parentJob.supplier, 'standard', parentJobId, parentJob.sync_mode || 'full', parentJob.shipping_country);
+    await assignFailuresToRetryJob(failures.map(failure => failure.id), jobId);
+  } catch (error) {
+    console.error('Error creating retry job:', error);
+    throw error;
+  }
+  
+  console.log(`[DEBUG] Starting retry job ${jobId} for ${failures.length} failed products of job ${parentJobId}`);
+  
+  enqueueJob(shopDomain, {
+    job: {
+      id: jobId,
+      shop_domain: shopDomain,
+      status: 'queued',
+      total_products: failures.length,
+      processed_products: 0,
+      failed_products: 0,
+      skipped_products: 0,
+      created_products: 0,
+      updated_products: 0,
+      unchanged_products: 0,
+      current_offset: 0,
+      supplier: parentJob.supplier,
+      import_method: 'standard',
+      retry_of_job_id: parentJobId,
+      supplier_retries: 0,
+      api_retries: 0,
+      sync_mode: parentJob.sync_mode || 'full',
+      shipping_country: parentJob.shipping_country
+    },
+    batchSize: 50,
+    resumeFromOffset: null,
+    controller: new AbortController(),
+    running: false
+  });
+  
+  return { success: true, jobId, retryCount: failures.length };
+};
+
 // Get all sync jobs for a shop
 export const getSyncJobsForShop = async (shopDomain) => {
   const jobs = await getAllSyncJobs(shopDomain);
@@ -635,34 +1348,44 @@ export const getSyncJobsForShop = async (shopDomain) => {
 
 
 
-// Cancel all jobs (simplified since only one can run at a time)
-export const forceCancelAllJobs = async () => {
+// Cancel all jobs of a shop
+export const forceCancelAllJobs = async (shopDomain) => {
   try {
     let cancelledCount = 0;
     
-    if (currentJob) {
-      // Cancel the current job directly
-      currentJob.status = 'cancelled';
-      await updateJobStatus(currentJob.id, { status: 'cancelled' });
+    const entry = shopJobs.get(shopDomain);
+    if (entry) {
+      // Cancel the shop's job directly
+      entry.job.status = 'cancelled';
+      await updateJobStatus(entry.job.id, { status: 'cancelled' });
       
-      if (currentJobController) {
-        currentJobController.abort();
+      if (entry.controller) {
+        entry.controller.abort();
       }
       
-      console.log(`Force cancelled current job ${currentJob.id}`);
-      currentJob = null;
-      currentJobController = null;
+      console.log(`Force cancelled job ${entry.job.id} for shop ${shopDomain}`);
+      // A running job keeps its worker slot until processJob stops at its next cancel check and
+      // runJob releases it, so no job of any shop starts beside it
+      if (!entry.running) {
+        shopJobs.delete(shopDomain);
+      }
       cancelledCount = 1;
     }
     
-    // Update any remaining processing/queued/paused jobs in database
+    const waitingIndex = waitingShops.indexOf(shopDomain);
+    if (waitingIndex !== -1) {
+      waitingShops.splice(waitingIndex, 1);
+    }
+    
+    // Update any remaining processing/queued/paused jobs of the shop in database
     await dbRun(`
       UPDATE sync_jobs 
       SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
-      WHERE status IN ('processing', 'queued', 'paused')
-    `);
+      WHERE shop_domain = ? AND status IN ('processing', 'queued', 'paused', 'interrupted', 'reauth_required')
+    `, shopDomain);
     
-    console.log(`Force cancelled ${cancelledCount} jobs`);
+    console.log(`Force cancelled ${cancelledCount} jobs for shop ${shopDomain}`);
+    dispatchJobs();
     return { success: true, cancelledCount };
   } catch (error) {
     console.error('Error in forceCancelAllJobs:', error);
@@ -671,19 +1394,32 @@ export const forceCancelAllJobs = async () => {
 };
 
 // Pause a sync job
-export const pauseSyncJob = async (jobId) => {
+export const pauseSyncJob = async (jobId, shopDomain) => {
   try {
-    // Check if this is the currently running job
-    if (currentJob && currentJob.id === jobId && currentJob.status === 'processing') {
-      // Set the in-memory job status to paused - the processing loop will handle the rest
-      currentJob.status = 'paused';
-      console.log(`[DEBUG] Job ${jobId}: Pause requested, processing loop will handle the pause`);
-      return { success: true };
+    const entry = shopJobs.get(shopDomain);
+    if (entry && entry.job.id === jobId) {
+      // Running job: the processing loop will handle the rest
+      if (entry.running && entry.job.status === 'processing') {
+        entry.job.status = 'paused';
+        console.log(`[DEBUG] Job ${jobId}: Pause requested, processing loop will handle the pause`);
+        return { success: true };
+      }
+      
+      // Job still waiting for a worker: pause it before it starts
+      if (!entry.running && (entry.job.status === 'queued' || entry.job.status === 'processing')) {
+        const waitingIndex = waitingShops.indexOf(shopDomain);
+        if (waitingIndex !== -1) {
+          waitingShops.splice(waitingIndex, 1);
+        }
+        await updateJobStatus(jobId, { status: 'paused' });
+        console.log(`[DEBUG] Job ${jobId}: Paused while queued`);
+        return { success: true };
+      }
     }
     
-    // If job exists in database but isn't currently running, update database directly
+    // If job exists in database but isn't currently tracked, update database directly
     const dbJob = await getJobStatus(jobId);
-    if (dbJob) {
+    if (dbJob && dbJob.shop_domain === shopDomain) {
       if (dbJob.status === 'processing' || dbJob.status === 'queued') {
         await updateJobStatus(jobId, { status: 'paused' });
         console.log(`[DEBUG] Job ${jobId}: Paused in database`);
@@ -700,70 +1436,153 @@ export const pauseSyncJob = async (jobId) => {
   }
 };
 
-// Resume a paused sync job
-export const resumeSyncJob = async (jobId, session, options = {}) => {
+// Resume a paused, interrupted or re-authorized sync job
+export const resumeSyncJob = async (jobId, shopDomain, options = {}) => {
   try {
-    // Check if another job is already running
-    if (currentJob && currentJob.id !== jobId) {
-      throw new Error('Another sync job is already running. Please wait for it to complete or cancel it first.');
+    // Check if another job of this shop is already running
+    const entry = shopJobs.get(shopDomain);
+    if (entry && entry.job.id !== jobId) {
+      throw new Error('Another sync job is already running for this shop. Please wait for it to complete or cancel it first.');
     }
-    
-    // Get job from database
-    const dbJob = await getJobStatus(jobId);
-    if (!dbJob) {
-      return { success: false, error: 'Job not found' };
+    if (entry && entry.running) {
+      return { success: false, error: 'Job is still stopping, please try again in a moment' };
     }
-    
-    if (dbJob.status !== 'paused') {
-      return { success: false, error: `Job is in ${dbJob.status} state and cannot be resumed` };
+    if (reservedShops.has(shopDomain)) {
+      throw new Error('Another sync job is already starting for this shop. Please try again in a moment.');
     }
     
-    // Validate session
-    if (!session || !session.shop || !session.accessToken) {
-      throw new Error('Invalid session - missing shop or accessToken');
+    reservedShops.add(shopDomain);
+    try {
+      return await requeueSyncJob(jobId, shopDomain, options);
+    } finally {
+      reservedShops.delete(shopDomain);
     }
-    
-    // Set up current job in memory
-    currentJob = {
-      id: jobId,
-      shop_domain: dbJob.shop_domain,
-      status: 'processing',
-      total_products: dbJob.total_products,
-      processed_products: dbJob.processed_products,
-      failed_products: dbJob.failed_products,
-      current_offset: dbJob.current_offset
-    };
-    
+  } catch (error) {
+    console.error(`Error resuming sync job ${jobId}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Load a stopped job and queue it again, called with the shop's slot reserved
+const requeueSyncJob = async (jobId, shopDomain, options) => {
+  // Get job from database
+  const dbJob = await getJobStatus(jobId);
+  if (!dbJob || dbJob.shop_domain !== shopDomain) {
+    return { success: false, error: 'Job not found' };
+  }
+  
+  if (!['paused', 'interrupted', 'reauth_required'].includes(dbJob.status)) {
+    return { success: false, error: `Job is in ${dbJob.status} state and cannot be resumed` };
+  }
+  
+  // The job will run on the offline token, make sure there is a usable one
+  if (!await loadOfflineSession(shopDomain)) {
+    return { success: false, error: REAUTH_REQUIRED_MESSAGE };
+  }
+  
+  // Validate and set batch size
+  const batchSize = options.batchSize || 50;
+  if (batchSize < 1 || batchSize > 100) {
+    throw new Error('Batch size must be between 1 and 100 products');
+  }
+  
+  console.log(`[DEBUG] Resuming ${dbJob.status} sync job ${jobId} from offset ${dbJob.current_offset} with batch size: ${batchSize}`);
+  
+  // Clear the pause/interruption reason from the previous run
+  if (dbJob.error_message) {
+    await updateJobStatus(jobId, { error_message: null });
+  }
+  
+  // Queue the job again, processing starts from the stored offset
+  enqueueJob(shopDomain, {
+    // The whole row, so counters, mode, dry run and country carry over to the resumed run
+    job: { ...dbJob, status: 'processing', error_message: null },
+    batchSize,
+    resumeFromOffset: dbJob.current_offset,
     // Create abort controller for cancellation
-    currentJobController = new AbortController();
+    controller: new AbortController(),
+    running: false
+  });
+  
+  return { success: true };
+};
+
+// Recover jobs left behind by a server restart
+// Jobs still marked processing/queued have no worker anymore. They are resumed from their
+// stored offset with the shop's offline session, or marked interrupted with a reason so the
+// merchant can resume them from the UI.
+export const recoverInterruptedJobs = async () => {
+  let resumedCount = 0;
+  let interruptedCount = 0;
+  
+  try {
+    const orphanedJobs = await dbAll(`
+      SELECT * FROM sync_jobs 
+      WHERE status IN ('processing', 'queued') 
+      ORDER BY created_at ASC
+    `);
     
-    // Validate and set batch size
-    const batchSize = options.batchSize || 50;
-    if (batchSize < 1 || batchSize > 100) {
-      throw new Error('Batch size must be between 1 and 100 products');
+    for (const dbJob of orphanedJobs) {
+      let reason = 'Interrupted by a server restart';
+      
+      if (shopJobs.has(dbJob.shop_domain) || reservedShops.has(dbJob.shop_domain)) {
+        reason = 'Interrupted by a server restart while another job for this shop was recovered';
+      } else if (RECOVERY_MODE === 'resume') {
+        reservedShops.add(dbJob.shop_domain);
+        const session = await loadOfflineSession(dbJob.shop_domain).catch(error => {
+          console.error(`[ERROR] Failed to load offline session for ${dbJob.shop_domain}:`, error.message);
+          return null;
+        });
+        
+        if (session) {
+          console.log(`[DEBUG] Recovering job ${dbJob.id} for ${dbJob.shop_domain} from offset ${dbJob.current_offset}`);
+          // Map what the bulk operation cut off by the restart wrote before its chunk is re-run
+          if (dbJob.import_method === 'bulk') {
+            await reconcileStoppedBulkChunk(session, dbJob.id, dbJob.supplier).catch(error => {
+              console.error(`[ERROR] Failed to reconcile the bulk chunk of job ${dbJob.id}:`, error.message);
+            });
+          }
+          reservedShops.delete(dbJob.shop_domain);
+          enqueueJob(dbJob.shop_domain, {
+            job: { ...dbJob, status: 'processing' },
+            batchSize: 50,
+            resumeFromOffset: dbJob.current_offset,
+            controller: new AbortController(),
+            running: false
+          });
+          resumedCount++;
+          continue;
+        }
+        reservedShops.delete(dbJob.shop_domain);
+        
+        reason = 'Interrupted by a server restart; no offline session is stored for this shop';
+      }
+      
+      await updateJobStatus(dbJob.id, { status: 'interrupted', error_message: reason });
+      interruptedCount++;
     }
     
-    console.log(`[DEBUG] Resuming sync job ${jobId} from offset ${dbJob.current_offset} with batch size: ${batchSize}`);
-    
-    // Start processing from the stored offset
-    processJob(jobId, session, batchSize, dbJob.current_offset).catch(error => {
-      console.error(`[ERROR] Error in processJob for resumed job ${jobId}:`, error);
-      console.error(`[ERROR] Stack trace:`, error.stack);
-      currentJob = null;
-      currentJobController = null;
-    });
-    
-    return { success: true };
+    console.log(`[DEBUG] Job recovery finished: ${resumedCount} resumed, ${interruptedCount} marked interrupted`);
   } catch (error) {
-    console.error(`Error resuming sync job ${jobId}:`, error);
-    return { success: false, error: error.message };
+    console.error('Error recovering interrupted jobs:', error);
   }
+  
+  return { resumedCount, interruptedCount };
+};
+
+// Get the shop's current job status (for health checks)
+export const getCurrentJobStatus = (shopDomain) => {
+  return shopJobs.get(shopDomain)?.job || null;
 };
 
-// Get current job status (for health checks)
-export const getCurrentJobStatus = () => {
-  return currentJob;
+// Get worker usage across all shops (for health checks)
+export const getSchedulerStatus = () => {
+  return {
+    maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+    runningJobs: countRunningJobs(),
+    waitingJobs: waitingShops.length
+  };
 };
 
 // Export for testing purposes
-export { createShopifyProduct };
\ No newline at end of file
+export { createShopifyProduct };
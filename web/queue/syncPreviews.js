@@ -0,0 +1,94 @@
+import { db, dbRun, dbAll } from './db.js';
+
+// Dry-run report
+// A dry-run job walks the supplier feed and records, per product, what a real sync would do
+// (create, update, leave unchanged, skip or reject) without calling any Shopify mutation.
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_job_previews (
+      job_id TEXT NOT NULL,
+      supplier_product_id TEXT NOT NULL,
+      title TEXT,
+      action TEXT NOT NULL,
+      reason TEXT,
+      shopify_product_id TEXT,
+      sku TEXT,
+      price TEXT,
+      inventory_quantity INTEGER,
+      variant_count INTEGER,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (job_id, supplier_product_id)
+    )
+  `);
+});
+
+export const PREVIEW_ACTIONS = ['create', 'update', 'unchanged', 'skip', 'reject'];
+
+const REPORT_COLUMNS = [
+  'supplier_product_id',
+  'title',
+  'action',
+  'reason',
+  'shopify_product_id',
+  'sku',
+  'price',
+  'inventory_quantity',
+  'variant_count'
+];
+
+// Record the planned action for a product; re-recording a product (after a resume) replaces it
+export const recordPreview = async (jobId, product, plan) => {
+  await dbRun(`
+    INSERT OR REPLACE INTO sync_job_previews
+      (job_id, supplier_product_id, title, action, reason, shopify_product_id, sku, price, inventory_quantity, variant_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    jobId,
+    product.id,
+    product.title || null,
+    plan.action,
+    plan.reason || null,
+    plan.mapping?.shopify_product_id || null,
+    product.sku || null,
+    product.price ?? null,
+    product.inventory_quantity ?? null,
+    Math.max(1, (product.variants || []).length)
+  );
+};
+
+// Number of products per planned action
+export const getPreviewSummary = async (jobId) => {
+  const rows = await dbAll(
+    'SELECT action, COUNT(*) AS count FROM sync_job_previews WHERE job_id = ? GROUP BY action',
+    jobId
+  );
+
+  const summary = Object.fromEntries(PREVIEW_ACTIONS.map(action => [action, 0]));
+  for (const row of rows) {
+    summary[row.action] = row.count;
+  }
+  return summary;
+};
+
+// All recorded rows of a dry run, in feed order
+export const getPreviewRows = async (jobId) => {
+  return dbAll(
+    `SELECT ${REPORT_COLUMNS.join(', ')} FROM sync_job_previews WHERE job_id = ? ORDER BY rowid ASC`,
+    jobId
+  );
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render dry-run rows as a CSV report
+export const buildPreviewCsv = (rows) => {
+  const lines = [REPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(REPORT_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,298 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db, dbRun, dbGet, dbAll } from './db.js';
+import { startSyncJob, getCurrentJobStatus } from './syncJobQueue.js';
+import { SYNC_MODES } from './shopifyProducts.js';
+import { getSupplierAdapter, DEFAULT_SUPPLIER } from '../suppliers/index.js';
+
+// Recurring sync schedules
+// Each schedule runs a sync of one mode daily or weekly at a wall-clock time in the shop's
+// IANA timezone. An in-process timer checks for due schedules every minute and starts them
+// through startSyncJob, so scheduled jobs queue and throttle like manual ones.
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly'];
+
+let schedulerTimer = null;
+
+db.serialize(() => {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sync_schedules (
+      id TEXT PRIMARY KEY,
+      shop_domain TEXT NOT NULL,
+      frequency TEXT NOT NULL DEFAULT 'daily',
+      day_of_week INTEGER,
+      time_of_day TEXT NOT NULL,
+      timezone TEXT NOT NULL,
+      sync_mode TEXT NOT NULL DEFAULT 'full',
+      supplier TEXT,
+      shipping_country TEXT,
+      enabled INTEGER DEFAULT 1,
+      next_run_at DATETIME,
+      last_run_at DATETIME,
+      last_run_status TEXT,
+      last_run_message TEXT,
+      last_job_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_sync_schedules_due ON sync_schedules (enabled, next_run_at)');
+});
+
+// Wall-clock date parts of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find(part => part.type === type).value;
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    second: Number(value('second'))
+  };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getTimezoneOffsetMs = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock time occurs in a timezone
+// Times skipped by a DST jump (e.g. 02:30 on spring-forward day) run just after the jump.
+const zonedTimeToDate = (year, month, day, hour, minute, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = wallClock - getTimezoneOffsetMs(new Date(wallClock), timezone);
+  // Re-check with the offset at the guessed instant in case it crossed a DST change
+  const secondGuess = wallClock - getTimezoneOffsetMs(new Date(firstGuess), timezone);
+
+  const matches = (instant) => {
+    const parts = getZonedParts(new Date(instant), timezone);
+    return parts.hour === hour && parts.minute === minute;
+  };
+
+  if (matches(secondGuess)) return new Date(secondGuess);
+  if (matches(firstGuess)) return new Date(firstGuess);
+  return new Date(Math.max(firstGuess, secondGuess));
+};
+
+// Next run of a schedule strictly after `from`
+export const computeNextRunAt = (schedule, from = new Date()) => {
+  const [hour, minute] = schedule.time_of_day.split(':').map(Number);
+  const today = getZonedParts(from, schedule.timezone);
+
+  for (let offsetDays = 0; offsetDays <= 8; offsetDays++) {
+    // Date.UTC normalizes day overflow into the next month/year
+    const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offsetDays));
+    if (schedule.frequency === 'weekly' && calendarDay.getUTCDay() !== schedule.day_of_week) {
+      continue;
+    }
+
+    const candidate = zonedTimeToDate(
+      calendarDay.getUTCFullYear(),
+      calendarDay.getUTCMonth() + 1,
+      calendarDay.getUTCDate(),
+      hour,
+      minute,
+      schedule.timezone
+    );
+    if (candidate > from) {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Could not compute the next run of schedule ${schedule.id}`);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate schedule fields, returns an error message or null
+export const validateSchedule = (schedule) => {
+  if (!SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+    return `Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`;
+  }
+  if (schedule.frequency === 'weekly' && !(Number.isInteger(schedule.day_of_week) && schedule.day_of_week >= 0 && schedule.day_of_week <= 6)) {
+    return 'Weekly schedules need a day of week between 0 (Sunday) and 6 (Saturday)';
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time_of_day || '')) {
+    return 'Time must use the HH:MM 24-hour format';
+  }
+  if (!schedule.timezone || !isValidTimezone(schedule.timezone)) {
+    return `Unknown timezone: ${schedule.timezone}`;
+  }
+  if (!SYNC_MODES.includes(schedule.sync_mode)) {
+    return `Sync mode must be one of: ${SYNC_MODES.join(', ')}`;
+  }
+  try {
+    getSupplierAdapter(schedule.supplier || DEFAULT_SUPPLIER);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+// Convert an API payload to schedule columns, keeping current values for missing fields
+const toScheduleFields = (input, current = {}) => ({
+  frequency: input.frequency ?? current.frequency ?? 'daily',
+  day_of_week: input.dayOfWeek ?? current.day_of_week ?? null,
+  time_of_day: input.time ?? current.time_of_day,
+  timezone: input.timezone ?? current.timezone,
+  sync_mode: input.syncMode ?? current.sync_mode ?? 'full',
+  supplier: input.supplier ?? current.supplier ?? DEFAULT_SUPPLIER,
+  shipping_country: input.shippingCountry ?? current.shipping_country ?? null,
+  enabled: input.enabled === undefined ? (current.enabled ?? 1) : (input.enabled ? 1 : 0)
+});
+
+const formatSchedule = (row) => ({
+  ...row,
+  enabled: !!row.enabled
+});
+
+export const getSchedulesForShop = async (shopDomain) => {
+  const rows = await dbAll('SELECT * FROM sync_schedules WHERE shop_domain = ? ORDER BY created_at ASC', shopDomain);
+  return rows.map(formatSchedule);
+};
+
+export const getSchedule = async (scheduleId, shopDomain) => {
+  const row = await dbGet('SELECT * FROM sync_schedules WHERE id = ? AND shop_domain = ?', scheduleId, shopDomain);
+  return row ? formatSchedule(row) : null;
+};
+
+// Create a schedule; the timezone defaults to the shop's ianaTimezone passed by the caller
+export const createSchedule = async (shopDomain, input) => {
+  const fields = toScheduleFields(input);
+  const error = validateSchedule(fields);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const id = uuidv4();
+  const nextRunAt = fields.enabled ? computeNextRunAt({ id, ...fields }).toISOString() : null;
+
+  await dbRun(`
+    INSERT INTO sync_schedules (id, shop_domain, frequency, day_of_week, time_of_day, timezone, sync_mode, supplier, shipping_country, enabled, next_run_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, id, shopDomain, fields.frequency, fields.day_of_week, fields.time_of_day, fields.timezone,
+    fields.sync_mode, fields.supplier, fields.shipping_country, fields.enabled, nextRunAt);
+
+  return { success: true, schedule: await getSchedule(id, shopDomain) };
+};
+
+export const updateSchedule = async (scheduleId, shopDomain, input) => {
+  const current = await getSchedule(scheduleId, shopDomain);
+  if (!current) {
+    return { success: false, error: 'Schedule not found' };
+  }
+
+  const fields = toScheduleFields(input, { ...current, enabled: current.enabled ? 1 : 0 });
+  const error = validateSchedule(fields);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const nextRunAt = fields.enabled ? computeNextRunAt({ id: scheduleId, ...fields }).toISOString() : null;
+
+  await dbRun(`
+    UPDATE sync_schedules
+    SET frequency = ?, day_of_week = ?, time_of_day = ?, timezone = ?, sync_mode = ?, supplier = ?,
+        shipping_country = ?, enabled = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND shop_domain = ?
+  `, fields.frequency, fields.day_of_week, fields.time_of_day, fields.timezone, fields.sync_mode,
+    fields.supplier, fields.shipping_country, fields.enabled, nextRunAt, scheduleId, shopDomain);
+
+  return { success: true, schedule: await getSchedule(scheduleId, shopDomain) };
+};
+
+export const deleteSchedule = async (scheduleId, shopDomain) => {
+  const current = await getSchedule(scheduleId, shopDomain);
+  if (!current) {
+    return { success: false, error: 'Schedule not found' };
+  }
+
+  await dbRun('DELETE FROM sync_schedules WHERE id = ? AND shop_domain = ?', scheduleId, shopDomain);
+  return { success: true };
+};
+
+// Record the outcome of a run and move the schedule to its next occurrence
+const finishRun = async (schedule, now, status, message, jobId = null) => {
+  const nextRunAt = computeNextRunAt(schedule, now).toISOString();
+  await dbRun(`
+    UPDATE sync_schedules
+    SET last_run_at = ?, last_run_status = ?, last_run_message = ?, last_job_id = COALESCE(?, last_job_id),
+        next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, now.toISOString(), status, message, jobId, nextRunAt, schedule.id);
+};
+
+// Start a due schedule, or skip it while the shop's previous sync is still going
+const runSchedule = async (schedule, now) => {
+  const activeJob = getCurrentJobStatus(schedule.shop_domain);
+  if (activeJob) {
+    const message = `Skipped: job ${activeJob.id} is still ${activeJob.status}`;
+    console.log(`[DEBUG] Schedule ${schedule.id}: ${message}`);
+    await finishRun(schedule, now, 'skipped', message);
+    return;
+  }
+
+  try {
+    const { jobId } = await startSyncJob(schedule.shop_domain, {
+      batchSize: 50,
+      supplier: schedule.supplier,
+      syncMode: schedule.sync_mode,
+      shippingCountry: schedule.shipping_country,
+      scheduleId: schedule.id
+    });
+    console.log(`[DEBUG] Schedule ${schedule.id}: Started ${schedule.sync_mode} sync job ${jobId} for ${schedule.shop_domain}`);
+    await finishRun(schedule, now, 'started', null, jobId);
+  } catch (error) {
+    console.error(`[ERROR] Schedule ${schedule.id}: Failed to start sync job:`, error.message);
+    await finishRun(schedule, now, 'failed', error.message);
+  }
+};
+
+// Start every enabled schedule whose next run is due
+export const runDueSchedules = async () => {
+  const now = new Date();
+  try {
+    const dueSchedules = await dbAll(
+      'SELECT * FROM sync_schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at ASC',
+      now.toISOString()
+    );
+
+    for (const schedule of dueSchedules) {
+      await runSchedule(schedule, now);
+    }
+  } catch (error) {
+    console.error('Error running due sync schedules:', error);
+  }
+};
+
+// Start the in-process scheduler; schedules missed while the server was down run once on boot
+export const startSyncScheduler = () => {
+  if (schedulerTimer) return;
+
+  runDueSchedules();
+  schedulerTimer = setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref?.();
+  console.log(`[DEBUG] Sync scheduler started, checking every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+};
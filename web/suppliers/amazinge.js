@@ -0,0 +1,150 @@
+// AmazingE partner API adapter
+// The original (and default) supplier the sync engine was built against.
+
+const API_URL = 'https://api.amazinge.store/partner/api/product';
+const API_TOKEN = process.env.AMAZINGE_API_TOKEN || 'c19149459f35fc80455c2a7b4c41fdd5';
+
+// Stock per warehouse, or null when the API only reports a total
+// Entries look like { warehouse_id, in_stock }.
+const mapWarehouses = (source) => {
+  if (!Array.isArray(source.warehouses)) {
+    return null;
+  }
+  return source.warehouses.map(warehouse => ({
+    id: String(warehouse.warehouse_id ?? warehouse.id),
+    inventory_quantity: warehouse.in_stock || 0
+  }));
+};
+
+// List price (MSRP) of a product or configuration, or null when the API has none
+const mapListPrice = (source) => {
+  const listPrice = source.list_price_in_usd ?? source.msrp_in_usd;
+  return listPrice === null || listPrice === undefined ? null : listPrice.toString();
+};
+
+// Map AmazingE configurations to normalized variants
+// Each entry of `variants` carries its option values (e.g. { CPU: 'i7', RAM: '16GB' }),
+// price, stock and image; `current_variants` holds the options of the default configuration.
+const mapVariants = (apiProduct) => {
+  if (!Array.isArray(apiProduct.variants) || apiProduct.variants.length === 0) {
+    return [];
+  }
+
+  return apiProduct.variants.map((apiVariant, index) => {
+    const options = apiVariant.options || {};
+    return {
+      key: String(apiVariant.id ?? (Object.values(options).join('/') || index)),
+      options,
+      sku: apiVariant.sku || `SKU-${apiProduct.id}-${apiVariant.id ?? index}`,
+      price: (apiVariant.price_in_usd ?? apiProduct.price_in_usd)?.toString() || '0',
+      compare_at_price: mapListPrice(apiVariant),
+      inventory_quantity: apiVariant.in_stock || 0,
+      warehouses: mapWarehouses(apiVariant),
+      image: apiVariant.image_url || apiVariant.main_image || null
+    };
+  });
+};
+
+// Collect option names and their values, in first-seen order, from the variants
+const mapOptions = (variants) => {
+  const options = [];
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options)) {
+      let option = options.find(existing => existing.name === name);
+      if (!option) {
+        option = { name, values: [] };
+        options.push(option);
+      }
+      if (!option.values.includes(value)) {
+        option.values.push(value);
+      }
+    }
+  }
+  return options;
+};
+
+// Countries a product ships to, or null when the API does not list them
+const mapShipsTo = (apiProduct) => {
+  const countries = apiProduct.ships_to ?? apiProduct.shipping_countries;
+  return Array.isArray(countries) ? countries.map(country => String(country).toUpperCase()) : null;
+};
+
+// Map an AmazingE product to the normalized product shape used by the sync engine
+const mapProduct = (apiProduct) => {
+  const variants = mapVariants(apiProduct);
+  const options = mapOptions(variants);
+
+  return {
+    id: `third-party-${apiProduct.id}`,
+    title: apiProduct.title,
+    description: apiProduct.description,
+    sku: apiProduct.current_variants?.CPU || `SKU-${apiProduct.id}`,
+    price: apiProduct.price_in_usd?.toString() || '0',
+    compare_at_price: mapListPrice(apiProduct),
+    inventory_quantity: apiProduct.in_stock || 0,
+    warehouses: mapWarehouses(apiProduct),
+    category: apiProduct.brand || 'Electronics',
+    tags: apiProduct.features ? apiProduct.features.slice(0, 3).map(feature =>
+      feature.split(' ').slice(0, 2).join(' ').toLowerCase()
+    ) : ['imported'],
+    features: Array.isArray(apiProduct.features) ? apiProduct.features : null,
+    vendor: apiProduct.brand || 'Third Party Supplier',
+    weight: apiProduct.weight_in_grams ? apiProduct.weight_in_grams / 1000 : null, // Convert to kg
+    weight_unit: 'kg',
+    country_of_origin: apiProduct.country_of_origin || null,
+    hs_code: apiProduct.hs_code || null,
+    images: apiProduct.image_urls ? apiProduct.image_urls.split(',').map(url => url.trim()) : [apiProduct.main_image],
+    main_image: apiProduct.main_image,
+    // Only products with real option values become multi-variant products
+    options,
+    variants: options.length > 0 ? variants : [],
+    ships_to: mapShipsTo(apiProduct)
+  };
+};
+
+// Fetch one page of raw products, using the API's offset_value cursor
+const fetchPage = async ({ cursor = 0 } = {}) => {
+  // Simulate API delay
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-User-Token': API_TOKEN,
+      'origin': 'https://www.thwifty.com',
+      'referer': 'https://www.thwifty.com'
+    },
+    body: JSON.stringify({
+      offset_value: cursor
+    })
+  });
+
+  if (!response.ok) {
+    // Status and Retry-After let the retry policy tell transient failures from permanent ones
+    throw Object.assign(new Error(`API request failed: ${response.status} ${response.statusText}`), {
+      status: response.status,
+      retryAfter: response.headers.get('retry-after')
+    });
+  }
+
+  const data = await response.json();
+  console.log('API Response:', data);
+
+  const items = data.products || [];
+
+  return {
+    items,
+    total: data.total || items.length,
+    nextCursor: data.next_offset_value ?? null,
+    hasMore: data.has_more || false
+  };
+};
+
+export default {
+  name: 'amazinge',
+  label: 'AmazingE',
+  currency: 'USD',
+  fetchPage,
+  mapProduct
+};
@@ -0,0 +1,71 @@
+import amazinge from './amazinge.js';
+import { withRetry } from '../queue/retryPolicy.js';
+
+// Supplier adapter registry
+//
+// Every adapter is a plain object implementing the same contract:
+//   - name: unique key stored on each sync job
+//   - label: human readable name for the UI
+//   - currency: ISO 4217 code of the supplier's prices (defaults to USD)
+//   - fetchPage({ cursor, limit, country }): resolves to { items, total, nextCursor, hasMore }
+//       items are raw supplier products, nextCursor is null once the feed is exhausted;
+//       country is the job's ISO 3166 shipping country (or null), adapters with
+//       country-scoped catalogs use it to narrow the feed and others ignore it;
+//       failed HTTP requests should throw with `status` (and `retryAfter` when the
+//       response has a Retry-After header) so transient failures are retried
+//   - scopesByCountry: true when fetchPage narrows the feed to the country (defaults to false);
+//       full syncs of such adapters with a shipping country do not delist missing products
+//   - mapProduct(item): converts a raw supplier product to the normalized product shape
+//       ({ id, title, description, sku, barcode, price, compare_at_price, inventory_quantity,
+//          warehouses, category, tags, features, vendor, weight, weight_unit, country_of_origin,
+//          hs_code, images, main_image, options, variants, ships_to })
+//       options is [{ name, values }] and variants is [{ key, options, sku, price,
+//       compare_at_price, inventory_quantity, warehouses, image }]; both are empty for
+//       single-variant products;
+//       compare_at_price is the supplier's list price (MSRP), or null when it has none;
+//       warehouses is the stock per supplier warehouse as [{ id, inventory_quantity }], or null
+//       when the supplier only reports a total (inventory_quantity);
+//       features is the supplier's full feature list, or null;
+//       weight (in weight_unit: kg, g, lb or oz), country_of_origin (ISO 3166 alpha-2) and
+//       hs_code (harmonized system tariff code) are null when the supplier does not say;
+//       ships_to is the list of country codes the supplier ships the product to, or
+//       null when the supplier does not say (the product is then synced for any country)
+//
+// To onboard another supplier, add a module next to this one and register it below.
+const adapters = {
+  [amazinge.name]: amazinge
+};
+
+export const DEFAULT_SUPPLIER = amazinge.name;
+
+// Look up an adapter by name, falling back to the default supplier
+export const getSupplierAdapter = (name = DEFAULT_SUPPLIER) => {
+  const adapter = adapters[name || DEFAULT_SUPPLIER];
+  if (!adapter) {
+    throw new Error(`Unknown supplier adapter: ${name}`);
+  }
+  return adapter;
+};
+
+// List registered adapters for the UI
+export const listSupplierAdapters = () => {
+  return Object.values(adapters).map(({ name, label }) => ({ name, label }));
+};
+
+// Fetch a page from a supplier and normalize its products
+// Transient failures are retried with backoff; onRetry is called before each retry. Each product
+// keeps its raw supplier item as `supplier_data` for the shop's field mapping.
+export const fetchSupplierProducts = async (adapter, cursor = 0, limit = 100, { onRetry, country = null } = {}) => {
+  const page = await withRetry(() => adapter.fetchPage({ cursor, limit, country }), {
+    label: `Supplier ${adapter.name} fetch at cursor ${cursor}`,
+    onRetry
+  });
+
+  return {
+    products: page.items.map(item => ({ ...adapter.mapProduct(item), supplier_data: item })),
+    total: page.total,
+    nextCursor: page.nextCursor,
+    limit,
+    hasMore: page.hasMore
+  };
+};